@@ -0,0 +1,246 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { applicationSchema } from "@/app/lib/schema";
+import { revalidatePath } from "next/cache";
+
+const withLinks = {
+  resume: {
+    select: { id: true, title: true },
+  },
+  resumeVersion: {
+    select: { id: true, label: true, createdAt: true },
+  },
+  coverLetter: {
+    select: { id: true, jobTitle: true, companyName: true, status: true },
+  },
+  interviewSessions: {
+    select: { id: true, category: true, status: true, report: true },
+    orderBy: { createdAt: "desc" },
+  },
+};
+
+// Validated columns for a create or update. The linked resume and cover letter
+// must belong to the user; empty optional fields are stored as null.
+async function applicationData(userId, data) {
+  const parsed = applicationSchema.safeParse(data);
+  if (!parsed.success) throw new Error("Invalid application");
+
+  const { resumeId, coverLetterId, ...fields } = parsed.data;
+
+  if (resumeId) {
+    const resume = await db.resume.findUnique({
+      where: { id: resumeId, userId },
+    });
+    if (!resume) throw new Error("Resume not found");
+  }
+
+  if (coverLetterId) {
+    const coverLetter = await db.coverLetter.findUnique({
+      where: { id: coverLetterId, userId },
+    });
+    if (!coverLetter) throw new Error("Cover letter not found");
+  }
+
+  return {
+    companyName: fields.companyName,
+    jobTitle: fields.jobTitle,
+    jobDescription: fields.jobDescription || null,
+    jobUrl: fields.jobUrl || null,
+    notes: fields.notes || null,
+    stage: fields.stage,
+    resumeId: resumeId || null,
+    coverLetterId: coverLetterId || null,
+  };
+}
+
+// Applications count as sent the first time they leave the saved stage
+const appliedAt = (application, stage) =>
+  application?.appliedAt ?? (stage === "saved" ? null : new Date());
+
+// The version of the linked resume that was sent: its latest version when the
+// application was first sent, or when a different resume was linked after
+// that. Until it is sent, an application follows the resume's edits.
+async function sentResumeVersionId(application, resumeId, sentAt) {
+  if (!resumeId || !sentAt) return null;
+  if (application?.resumeId === resumeId && application.resumeVersionId) {
+    return application.resumeVersionId;
+  }
+
+  const version = await db.resumeVersion.findFirst({
+    where: { resumeId },
+    orderBy: { createdAt: "desc" },
+  });
+  return version?.id ?? null;
+}
+
+export async function getApplications() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return await db.jobApplication.findMany({
+    where: {
+      userId: user.id,
+    },
+    include: withLinks,
+    orderBy: {
+      updatedAt: "desc",
+    },
+  });
+}
+
+export async function createApplication(data) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const fields = await applicationData(user.id, data);
+  const sentAt = appliedAt(null, fields.stage);
+
+  try {
+    const application = await db.jobApplication.create({
+      data: {
+        ...fields,
+        userId: user.id,
+        appliedAt: sentAt,
+        resumeVersionId: await sentResumeVersionId(
+          null,
+          fields.resumeId,
+          sentAt
+        ),
+      },
+      include: withLinks,
+    });
+
+    revalidatePath("/applications");
+    return application;
+  } catch (error) {
+    console.error("Error creating application:", error);
+    throw new Error("Failed to create application");
+  }
+}
+
+export async function updateApplication(id, data) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const application = await db.jobApplication.findUnique({
+    where: {
+      id,
+      userId: user.id,
+    },
+  });
+
+  if (!application) throw new Error("Application not found");
+
+  const fields = await applicationData(user.id, data);
+  const sentAt = appliedAt(application, fields.stage);
+
+  try {
+    const updated = await db.jobApplication.update({
+      where: { id },
+      data: {
+        ...fields,
+        appliedAt: sentAt,
+        resumeVersionId: await sentResumeVersionId(
+          application,
+          fields.resumeId,
+          sentAt
+        ),
+      },
+      include: withLinks,
+    });
+
+    revalidatePath("/applications");
+    return updated;
+  } catch (error) {
+    console.error("Error updating application:", error);
+    throw new Error("Failed to update application");
+  }
+}
+
+// Moves an application to another pipeline column
+export async function moveApplication(id, stage) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const application = await db.jobApplication.findUnique({
+    where: {
+      id,
+      userId: user.id,
+    },
+  });
+
+  if (!application) throw new Error("Application not found");
+
+  const parsed = applicationSchema.shape.stage.safeParse(stage);
+  if (!parsed.success) throw new Error("Invalid stage");
+  const sentAt = appliedAt(application, parsed.data);
+
+  try {
+    const updated = await db.jobApplication.update({
+      where: { id },
+      data: {
+        stage: parsed.data,
+        appliedAt: sentAt,
+        resumeVersionId: await sentResumeVersionId(
+          application,
+          application.resumeId,
+          sentAt
+        ),
+      },
+      include: withLinks,
+    });
+
+    revalidatePath("/applications");
+    return updated;
+  } catch (error) {
+    console.error("Error moving application:", error);
+    throw new Error("Failed to move application");
+  }
+}
+
+export async function deleteApplication(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const application = await db.jobApplication.delete({
+    where: {
+      id,
+      userId: user.id,
+    },
+  });
+
+  revalidatePath("/applications");
+  return application;
+}
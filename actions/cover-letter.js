@@ -2,50 +2,167 @@
 
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { getModel } from "@/lib/ai/client";
+import { coverLetterInstructions } from "@/lib/cover-letter-options";
+import { canTransition, getStatus } from "@/lib/cover-letter-status";
+import {
+  coverLetterContentSchema,
+  coverLetterRevisionSchema,
+  coverLetterSchema,
+} from "@/app/lib/schema";
+import {
+  extractAchievements,
+  formatEntry,
+  getResumeEntries,
+} from "@/lib/resume-facts";
+import { formatStory } from "@/lib/star-stories";
+import { revalidatePath } from "next/cache";
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+// Work history and the picked achievements from the resume chosen for the
+// letter, or null when none was chosen (or it has since been deleted).
+// Letters store the picked achievements' text, because achievement ids shift
+// when the resume is edited; letters from before that only have the ids.
+async function loadResumeFacts(
+  userId,
+  { resumeId, achievements, achievementIds = [] }
+) {
+  if (!resumeId) return null;
 
-export async function generateCoverLetter(data) {
-  const { userId } = await auth();
-  if (!userId) throw new Error("Unauthorized");
+  const resume = await db.resume.findUnique({
+    where: { id: resumeId, userId },
+  });
+  if (!resume) return null;
 
-  const user = await db.user.findUnique({
-    where: { clerkUserId: userId },
+  return {
+    entries: getResumeEntries(resume).map(formatEntry),
+    achievements:
+      achievements ??
+      extractAchievements(resume).filter((achievement) =>
+        achievementIds.includes(achievement.id)
+      ),
+  };
+}
+
+// Story bank stories the user picked for the letter, in the order picked
+async function loadStories(userId, { storyIds = [] }) {
+  if (!storyIds.length) return [];
+
+  const stories = await db.story.findMany({
+    where: { id: { in: storyIds }, userId },
   });
+  return storyIds
+    .map((id) => stories.find((story) => story.id === id))
+    .filter(Boolean);
+}
 
-  if (!user) throw new Error("User not found");
+const list = (items) => items.map((item) => `- ${item}`).join("\n    ");
+
+const coverLetterPrompt = (user, data, options, facts, stories = []) => {
+  const { tone, words, language, structure } = coverLetterInstructions(options);
+  const achievements = facts?.achievements ?? [];
+  const storyTexts = stories.map((story) =>
+    formatStory(story).replace(/\n/g, "\n    ")
+  );
+  const resumeFacts = [
+    facts?.entries.length &&
+      `Work history (from the candidate's resume):\n    ${list(facts.entries)}`,
+    achievements.length &&
+      `Achievements to feature:\n    ${list(
+        achievements.map(({ entry, text }) => `${text} (${entry})`)
+      )}`,
+    stories.length &&
+      `Stories from the candidate's interview story bank (STAR format):\n\n    ${storyTexts.join(
+        "\n\n    "
+      )}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n    ");
 
-  const prompt = `
-    Write a professional cover letter for a ${data.jobTitle} position at ${
-    data.companyName
-  }.
+  return `
+    Write a cover letter for a ${data.jobTitle} position at ${data.companyName}.
     
     About the candidate:
     - Industry: ${user.industry}
     - Years of Experience: ${user.experience}
     - Skills: ${user.skills?.join(", ")}
     - Professional Background: ${user.bio}
-    
+
+    ${resumeFacts}
+
     Job Description:
     ${data.jobDescription}
     
     Requirements:
-    1. Use a professional, enthusiastic tone
+    1. Use a ${tone} tone
     2. Highlight relevant skills and experience
     3. Show understanding of the company's needs
-    4. Keep it concise (max 400 words)
-    5. Use proper business letter formatting in markdown
-    6. Include specific examples of achievements
+    4. Keep it to about ${words} words
+    5. ${structure}
+    6. ${
+      achievements.length || stories.length
+        ? "Feature the achievements and stories listed above, condensed to a sentence or two each"
+        : "Give concrete examples, but only ones found in the candidate information above"
+    }
     7. Relate candidate's background to job requirements
+    8. Write the letter in ${language}
+    9. Only state facts found in the candidate information above. Do not invent employers, job titles, numbers, metrics or achievements
     
     Format the letter in markdown.
   `;
+};
+
+// Every change to a letter's content goes through here so it gets a revision
+const saveRevision = async (id, { content, source, instruction }) => {
+  const coverLetter = await db.coverLetter.update({
+    where: { id },
+    data: {
+      content,
+      revisions: {
+        create: { content, source, instruction: instruction || null },
+      },
+    },
+  });
+
+  revalidatePath(`/ai-cover-letter/${id}`);
+  return coverLetter;
+};
+
+export async function generateCoverLetter(input) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const parsed = coverLetterSchema.safeParse(input);
+  if (!parsed.success) throw new Error("Invalid cover letter options");
+  const data = parsed.data;
+
+  const options = {
+    tone: data.tone,
+    length: data.length,
+    language: data.language,
+    structure: data.structure,
+    referrerName:
+      data.structure === "referral" ? data.referrerName.trim() : undefined,
+    resumeId: data.resumeId || undefined,
+    storyIds: data.storyIds.length ? data.storyIds : undefined,
+  };
 
   try {
-    const result = await model.generateContent(prompt);
-    const content = result.response.text().trim();
+    const facts = await loadResumeFacts(user.id, {
+      ...options,
+      achievementIds: data.achievementIds,
+    });
+    const stories = await loadStories(user.id, options);
+    const content = (
+      await getModel("coverLetter").generateText(
+        coverLetterPrompt(user, data, options, facts, stories)
+      )
+    ).trim();
 
     const coverLetter = await db.coverLetter.create({
       data: {
@@ -53,8 +170,19 @@ export async function generateCoverLetter(data) {
         jobDescription: data.jobDescription,
         companyName: data.companyName,
         jobTitle: data.jobTitle,
-        status: "completed",
+        options: {
+          ...options,
+          achievements: facts?.achievements.map(({ entry, text }) => ({
+            entry,
+            text,
+          })),
+        },
+        status: "draft",
+        statusHistory: [{ status: "draft", at: new Date().toISOString() }],
         userId: user.id,
+        revisions: {
+          create: { content, source: "generated" },
+        },
       },
     });
 
@@ -65,6 +193,212 @@ export async function generateCoverLetter(data) {
   }
 }
 
+// Writes a new draft from the letter's stored job details and options,
+// keeping the old one in the revision history
+export async function regenerateCoverLetter(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const coverLetter = await db.coverLetter.findUnique({
+    where: {
+      id,
+      userId: user.id,
+    },
+  });
+
+  if (!coverLetter) throw new Error("Cover letter not found");
+
+  try {
+    const facts = await loadResumeFacts(user.id, coverLetter.options ?? {});
+    const stories = await loadStories(user.id, coverLetter.options ?? {});
+    const content = (
+      await getModel("coverLetter").generateText(
+        coverLetterPrompt(
+          user,
+          coverLetter,
+          coverLetter.options,
+          facts,
+          stories
+        )
+      )
+    ).trim();
+
+    return await saveRevision(id, { content, source: "generated" });
+  } catch (error) {
+    console.error("Error regenerating cover letter:", error.message);
+    throw new Error("Failed to regenerate cover letter");
+  }
+}
+
+export async function updateCoverLetter(id, data) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const coverLetter = await db.coverLetter.findUnique({
+    where: {
+      id,
+      userId: user.id,
+    },
+  });
+
+  if (!coverLetter) throw new Error("Cover letter not found");
+
+  const parsed = coverLetterContentSchema.safeParse(data);
+  if (!parsed.success) throw new Error("Invalid cover letter");
+
+  try {
+    return await saveRevision(id, {
+      content: parsed.data.content,
+      source: "edited",
+    });
+  } catch (error) {
+    console.error("Error updating cover letter:", error);
+    throw new Error("Failed to save cover letter");
+  }
+}
+
+/**
+ * Applies an AI revision to `content` (the editor's current text, which may
+ * not be saved yet). With `selection`, only that passage is rewritten and the
+ * rest of the letter is left untouched.
+ */
+export async function reviseCoverLetter(id, data) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const coverLetter = await db.coverLetter.findUnique({
+    where: {
+      id,
+      userId: user.id,
+    },
+  });
+
+  if (!coverLetter) throw new Error("Cover letter not found");
+
+  const parsed = coverLetterRevisionSchema.safeParse(data);
+  if (!parsed.success) throw new Error("Invalid revision request");
+  const { content, instruction, selection } = parsed.data;
+
+  if (!instruction.trim()) throw new Error("Describe the change you want");
+  if (selection && !content.includes(selection)) {
+    throw new Error("The selected text is no longer in the letter");
+  }
+
+  const rules = `
+    Keep names, dates, contact details and facts about the candidate unchanged.
+    Keep the letter in the language it is written in.
+    Do not invent experience or achievements.
+    Return only the revised text in markdown, no explanations or additional text.
+  `;
+
+  const prompt = selection
+    ? `
+    Rewrite one passage of the cover letter below. Instruction: ${instruction}
+    ${rules}
+    Return only the rewritten passage, not the whole letter.
+
+    Cover letter (for context):
+    ${content}
+
+    Passage to rewrite:
+    ${selection}
+  `
+    : `
+    Revise the following cover letter for a ${coverLetter.jobTitle} position at ${coverLetter.companyName}.
+    Instruction: ${instruction}
+    ${rules}
+
+    Cover letter:
+    ${content}
+  `;
+
+  try {
+    const revised = (
+      await getModel("coverLetterRevision").generateText(prompt)
+    ).trim();
+
+    return await saveRevision(id, {
+      // A function replacement, so "$" in the revision is taken literally
+      content: selection ? content.replace(selection, () => revised) : revised,
+      source: "ai",
+      instruction: selection ? `${instruction} (selected text)` : instruction,
+    });
+  } catch (error) {
+    console.error("Error revising cover letter:", error);
+    throw new Error("Failed to revise cover letter");
+  }
+}
+
+export async function getCoverLetterRevisions(coverLetterId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return await db.coverLetterRevision.findMany({
+    where: {
+      coverLetterId,
+      coverLetter: { userId: user.id },
+    },
+    orderBy: {
+      createdAt: "desc",
+    },
+  });
+}
+
+// Restoring never rewrites history: the old content is saved as a new revision
+export async function restoreCoverLetterRevision(revisionId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const revision = await db.coverLetterRevision.findFirst({
+    where: {
+      id: revisionId,
+      coverLetter: { userId: user.id },
+    },
+  });
+
+  if (!revision) throw new Error("Revision not found");
+
+  try {
+    return await saveRevision(revision.coverLetterId, {
+      content: revision.content,
+      source: "restored",
+    });
+  } catch (error) {
+    console.error("Error restoring cover letter revision:", error);
+    throw new Error("Failed to restore revision");
+  }
+}
+
 export async function getCoverLetters() {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
@@ -103,6 +437,55 @@ export async function getCoverLetter(id) {
   });
 }
 
+export async function updateCoverLetterStatus(id, status) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const coverLetter = await db.coverLetter.findUnique({
+    where: {
+      id,
+      userId: user.id,
+    },
+  });
+
+  if (!coverLetter) throw new Error("Cover letter not found");
+  if (!canTransition(coverLetter.status, status)) {
+    throw new Error(
+      `A ${getStatus(
+        coverLetter.status
+      ).label.toLowerCase()} letter can't be marked as ${getStatus(
+        status
+      ).label.toLowerCase()}`
+    );
+  }
+
+  try {
+    const updated = await db.coverLetter.update({
+      where: { id },
+      data: {
+        status,
+        statusHistory: [
+          ...(coverLetter.statusHistory ?? []),
+          { status, at: new Date().toISOString() },
+        ],
+      },
+    });
+
+    revalidatePath("/ai-cover-letter");
+    revalidatePath(`/ai-cover-letter/${id}`);
+    return updated;
+  } catch (error) {
+    console.error("Error updating cover letter status:", error);
+    throw new Error("Failed to update status");
+  }
+}
+
 export async function deleteCoverLetter(id) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
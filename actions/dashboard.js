@@ -2,10 +2,8 @@
 
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
-import { GoogleGenerativeAI } from "@google/generative-ai";
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+import { generateStructured } from "@/lib/ai/structured";
+import { industryInsightsSchema } from "@/lib/ai/schemas";
 
 export const generateAIInsights = async (industry) => {
   const prompt = `
@@ -28,12 +26,7 @@ export const generateAIInsights = async (industry) => {
           Include at least 5 skills and trends.
         `;
 
-  const result = await model.generateContent(prompt);
-  const response = result.response;
-  const text = response.text();
-  const cleanedText = text.replace(/```(?:json)?\n?/g, "").trim();
-
-  return JSON.parse(cleanedText);
+  return await generateStructured("insights", prompt, industryInsightsSchema);
 };
 
 export async function getIndustryInsights() {
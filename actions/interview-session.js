@@ -0,0 +1,368 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { getModel } from "@/lib/ai/client";
+import { generateStructured } from "@/lib/ai/structured";
+import { interviewReportSchema } from "@/lib/ai/schemas";
+import { AIOutputError } from "@/lib/ai/errors";
+import { interviewSessionSchema } from "@/app/lib/schema";
+import { PASSING_SCORE, getCategory } from "@/lib/interview-options";
+import { revalidatePath } from "next/cache";
+
+const CLOSING_MESSAGE =
+  "That's all the questions I have. Thank you for your time! End the interview to see your report.";
+
+const answerCount = (messages) =>
+  messages.filter((message) => message.role === "candidate").length;
+
+// Each candidate answer with the interviewer message it replied to
+const exchanges = (messages) =>
+  messages.flatMap((message, index) =>
+    message.role === "candidate"
+      ? [{ question: messages[index - 1].content, answer: message.content }]
+      : []
+  );
+
+const transcript = (messages) =>
+  messages
+    .map(
+      (message) =>
+        `${message.role === "interviewer" ? "Interviewer" : "Candidate"}: ${
+          message.content
+        }`
+    )
+    .join("\n\n    ");
+
+// What the interviewer knows about the candidate: their profile and, when one
+// was picked, the resume they applied with
+function candidateProfile(user, resume) {
+  return [
+    `- Industry: ${user.industry}`,
+    user.experience != null && `- Years of experience: ${user.experience}`,
+    user.skills?.length && `- Skills: ${user.skills.join(", ")}`,
+    user.bio && `- Background: ${user.bio}`,
+    resume && `\n    Resume:\n    """\n    ${resume.content}\n    """`,
+  ]
+    .filter(Boolean)
+    .join("\n    ");
+}
+
+async function askNextQuestion(user, session, messages) {
+  const company = session.companyName ? ` at ${session.companyName}` : "";
+  const focus = getCategory(session.category).description.toLowerCase();
+  const remaining = session.questionCount - answerCount(messages);
+  const conversation = messages.length
+    ? `Conversation so far:\n\n    ${transcript(messages)}`
+    : "The interview is just starting. Greet the candidate briefly and ask your first question.";
+
+  const prompt = `
+    You are interviewing a candidate for a ${
+      session.jobTitle
+    } position${company}.
+    This is a ${session.category.toLowerCase()} interview, focused on ${focus}.
+
+    About the candidate:
+    ${candidateProfile(user, session.resume)}
+
+    ${conversation}
+
+    Ask the next question. You have ${remaining} question${
+    remaining === 1 ? "" : "s"
+  } left.
+    If the candidate's last answer was vague, skipped a detail a real interviewer would probe, or mentioned something worth exploring, ask a follow-up about it. Otherwise move on to a new topic, drawing on their resume and the role where you can.
+    Ask exactly one question, the way an interviewer would say it out loud. Don't grade or comment on the answers and don't number the questions.
+    Reply with the question only, no additional text.
+  `;
+
+  try {
+    return (await getModel("mockInterviewer").generateText(prompt)).trim();
+  } catch (error) {
+    console.error("Error generating interview question:", error);
+    throw new Error("The interviewer couldn't respond, please try again");
+  }
+}
+
+async function loadSession(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const session = await db.interviewSession.findUnique({
+    where: {
+      id,
+      userId: user.id,
+    },
+    include: { resume: true },
+  });
+
+  if (!session) throw new Error("Interview not found");
+  return { user, session };
+}
+
+export async function getInterviewSessions() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return await db.interviewSession.findMany({
+    where: {
+      userId: user.id,
+    },
+    orderBy: {
+      updatedAt: "desc",
+    },
+  });
+}
+
+export async function getInterviewSession(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return await db.interviewSession.findUnique({
+    where: {
+      id,
+      userId: user.id,
+    },
+    include: {
+      resume: { select: { id: true, title: true } },
+      assessment: true,
+    },
+  });
+}
+
+// Sets up the interview and has the interviewer open with its first question
+export async function startInterviewSession(data) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const parsed = interviewSessionSchema.safeParse(data);
+  if (!parsed.success) throw new Error("Invalid interview settings");
+  const {
+    jobTitle,
+    companyName,
+    category,
+    questionCount,
+    resumeId,
+    applicationId,
+  } = parsed.data;
+
+  const resume = resumeId
+    ? await db.resume.findUnique({ where: { id: resumeId, userId: user.id } })
+    : null;
+  if (resumeId && !resume) throw new Error("Resume not found");
+
+  const application = applicationId
+    ? await db.jobApplication.findUnique({
+        where: { id: applicationId, userId: user.id },
+      })
+    : null;
+  if (applicationId && !application) throw new Error("Application not found");
+
+  const session = {
+    jobTitle,
+    companyName: companyName?.trim() || null,
+    category,
+    questionCount,
+    resume,
+  };
+  const question = await askNextQuestion(user, session, []);
+
+  try {
+    const created = await db.interviewSession.create({
+      data: {
+        userId: user.id,
+        jobTitle: session.jobTitle,
+        companyName: session.companyName,
+        category,
+        questionCount,
+        resumeId: resume?.id ?? null,
+        applicationId: application?.id ?? null,
+        messages: [{ role: "interviewer", content: question }],
+      },
+    });
+
+    if (application) revalidatePath("/applications");
+
+    return created;
+  } catch (error) {
+    console.error("Error starting interview:", error);
+    throw new Error("Failed to start interview");
+  }
+}
+
+// Records the candidate's answer and returns the messages with the
+// interviewer's reply: a follow-up, a new question, or its closing line once
+// every question has been asked
+export async function sendInterviewAnswer(id, answer) {
+  const { user, session } = await loadSession(id);
+
+  if (session.status !== "in_progress") {
+    throw new Error("This interview is already finished");
+  }
+  if (!answer?.trim()) throw new Error("Invalid answer");
+
+  const { messages } = session;
+  if (messages.at(-1)?.role !== "interviewer") {
+    throw new Error("Wait for the interviewer's next question");
+  }
+  if (answerCount(messages) >= session.questionCount) {
+    throw new Error("The interview is over, end it to see your report");
+  }
+
+  const withAnswer = [
+    ...messages,
+    { role: "candidate", content: answer.trim() },
+  ];
+  const reply =
+    answerCount(withAnswer) < session.questionCount
+      ? await askNextQuestion(user, session, withAnswer)
+      : CLOSING_MESSAGE;
+
+  // Only written if the conversation hasn't moved on since it was read, so a
+  // double submit can't drop an answer and its reply
+  const updatedMessages = [
+    ...withAnswer,
+    { role: "interviewer", content: reply },
+  ];
+  let saved;
+  try {
+    saved = await db.interviewSession.updateMany({
+      where: { id: session.id, updatedAt: session.updatedAt },
+      data: { messages: updatedMessages },
+    });
+  } catch (error) {
+    console.error("Error saving interview answer:", error);
+    throw new Error("Failed to save answer");
+  }
+  if (!saved.count) {
+    throw new Error("Another answer was sent at the same time, try again");
+  }
+
+  return updatedMessages;
+}
+
+// Grades the conversation and records it as an assessment, so it counts in
+// the interview stats and performance chart like a quiz
+export async function endInterviewSession(id) {
+  const { user, session } = await loadSession(id);
+
+  if (session.status === "completed") return session;
+
+  const answered = exchanges(session.messages);
+  if (!answered.length) {
+    throw new Error("Answer at least one question before ending the interview");
+  }
+
+  const company = session.companyName ? ` at ${session.companyName}` : "";
+  const prompt = `
+    You interviewed a candidate for a ${session.jobTitle} position${company}.
+    This was a ${session.category.toLowerCase()} interview.
+
+    About the candidate:
+    ${candidateProfile(user, session.resume)}
+
+    Transcript:
+
+    ${transcript(session.messages)}
+
+    Write the interview report. Score each of the candidate's ${
+      answered.length
+    } answers from 0 to 100 as a hiring manager would, with one or two sentences of specific feedback, in the order they were given.
+    Then summarize the interview in two sentences, list the candidate's main strengths and weaknesses, and give one concise, encouraging tip for their next interview.
+
+    Return the response in this JSON format only, no additional text:
+    {
+      "summary": "string",
+      "strengths": ["string"],
+      "weaknesses": ["string"],
+      "tip": "string",
+      "answers": [{ "score": number, "feedback": "string" }]
+    }
+  `;
+
+  let report;
+  try {
+    report = await generateStructured(
+      "interviewReport",
+      prompt,
+      interviewReportSchema
+    );
+  } catch (error) {
+    console.error("Error generating interview report:", error);
+    throw new Error(
+      error instanceof AIOutputError
+        ? "The AI returned an invalid report, please try again"
+        : "Failed to generate interview report"
+    );
+  }
+
+  const questionResults = answered.map((exchange, index) => {
+    const grade = report.answers[index] ?? { score: 0, feedback: "" };
+    return {
+      question: exchange.question,
+      userAnswer: exchange.answer,
+      isCorrect: grade.score >= PASSING_SCORE,
+      explanation: grade.feedback,
+      score: grade.score,
+    };
+  });
+  const score =
+    questionResults.reduce((sum, q) => sum + q.score, 0) /
+    questionResults.length;
+
+  try {
+    const completed = await db.interviewSession.update({
+      where: { id: session.id },
+      data: {
+        status: "completed",
+        report: {
+          summary: report.summary,
+          strengths: report.strengths,
+          weaknesses: report.weaknesses,
+          score,
+        },
+        assessment: {
+          create: {
+            userId: user.id,
+            quizScore: score,
+            questions: questionResults,
+            category: session.category,
+            mode: "conversation",
+            improvementTip: report.tip,
+          },
+        },
+      },
+      include: { assessment: true },
+    });
+
+    revalidatePath("/interview");
+    revalidatePath(`/interview/sessions/${session.id}`);
+    return completed;
+  } catch (error) {
+    console.error("Error saving interview report:", error);
+    throw new Error("Failed to save interview report");
+  }
+}
@@ -2,62 +2,549 @@
 
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { getModel } from "@/lib/ai/client";
+import { generateStructured } from "@/lib/ai/structured";
+import {
+  answerEvaluationSchema,
+  openEndedQuizSchema,
+  quizSchema,
+} from "@/lib/ai/schemas";
+import { AIOutputError } from "@/lib/ai/errors";
+import { quizOptionsSchema } from "@/app/lib/schema";
+import { addDays, addSeconds, differenceInSeconds, subDays } from "date-fns";
+import { revalidatePath } from "next/cache";
+import {
+  PASSING_SCORE,
+  QUIZ_EXPIRY_DAYS,
+  RUBRIC_CRITERIA,
+  RUBRIC_MAX_SCORE,
+  getCategory,
+  getDifficulty,
+  getQuizMode,
+} from "@/lib/interview-options";
+import {
+  estimateLevel,
+  getTopicStats,
+  getWeakTopics,
+} from "@/lib/interview-stats";
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+// Past assessments in a category that adaptive quizzes learn from
+const HISTORY_SIZE = 20;
 
-export async function generateQuiz() {
-  const { userId } = await auth();
-  if (!userId) throw new Error("Unauthorized");
+// Allowance for network latency and clock drift around a timed quiz's
+// deadline. Answers are accepted this long after it, and a quiz the browser
+// says has run out may be finished this long before it.
+const DEADLINE_GRACE_SECONDS = 5;
 
-  const user = await db.user.findUnique({
-    where: { clerkUserId: userId },
-    select: {
-      industry: true,
-      skills: true,
+const quizEndsAt = (quiz) =>
+  quiz.timeLimit ? addSeconds(quiz.createdAt, quiz.timeLimit) : null;
+
+// Whether a timed quiz's deadline, moved by `offsetSeconds`, has passed
+const isPastDeadline = (quiz, offsetSeconds = 0) =>
+  !!quiz.timeLimit && new Date() >= addSeconds(quizEndsAt(quiz), offsetSeconds);
+
+// What the browser sees of a quiz: questions and options, plus the grading
+// of the questions already answered
+function clientQuiz(quiz) {
+  return {
+    id: quiz.id,
+    category: quiz.category,
+    difficulty: quiz.difficulty,
+    mode: quiz.mode,
+    timeLimit: quiz.timeLimit,
+    questionTimeLimit: quiz.questionTimeLimit,
+    endsAt: quizEndsAt(quiz),
+    currentQuestion: quiz.currentQuestion,
+    questionStartedAt: quiz.currentQuestionStartedAt,
+    questions: quiz.questions.map(({ question, topic, options }) => ({
+      question,
+      topic,
+      options,
+    })),
+    results: quiz.questions.map((question, index) =>
+      quiz.answers[index] ? revealAnswer(question, quiz.answers[index]) : null
+    ),
+  };
+}
+
+// Starts the clock on a question when it is shown. Showing the question being
+// answered again (a refresh, or resuming later) keeps its original start.
+const serveQuestion = (quiz, index) =>
+  quiz.currentQuestion === index && quiz.currentQuestionStartedAt
+    ? quiz
+    : db.quiz.update({
+        where: { id: quiz.id },
+        data: { currentQuestion: index, currentQuestionStartedAt: new Date() },
+      });
+
+// Unfinished quizzes left alone too long can no longer be resumed
+const expireStaleQuizzes = (userId) =>
+  db.quiz.updateMany({
+    where: {
+      userId,
+      status: "in_progress",
+      updatedAt: { lt: subDays(new Date(), QUIZ_EXPIRY_DAYS) },
     },
+    data: { status: "expired" },
   });
 
-  if (!user) throw new Error("User not found");
+function revealAnswer(question, result) {
+  // Written answers store their whole evaluation
+  if (!question.options) return result;
 
-  const prompt = `
-    Generate 10 technical interview questions for a ${
-      user.industry
-    } professional${
-    user.skills?.length ? ` with expertise in ${user.skills.join(", ")}` : ""
-  }.
-    
-    Each question should be multiple choice with 4 options.
+  const { answer, isCorrect, timeSpent, timedOut } = result;
+  return {
+    answer,
+    isCorrect,
+    timeSpent,
+    timedOut,
+    correctAnswer: question.correctAnswer,
+    explanation: question.explanation,
+  };
+}
+
+// Answer format and JSON shape asked for in each quiz mode
+const QUESTION_FORMATS = {
+  multiple_choice: `Each question should be multiple choice with 4 options.
     
     Return the response in this JSON format only, no additional text:
     {
       "questions": [
         {
           "question": "string",
+          "topic": "string",
           "options": ["string", "string", "string", "string"],
           "correctAnswer": "string",
           "explanation": "string"
         }
       ]
+    }`,
+  open_ended: `Each question is answered in free text, like in a real interview. For each, list the key points a strong answer covers.
+
+    Return the response in this JSON format only, no additional text:
+    {
+      "questions": [
+        {
+          "question": "string",
+          "topic": "string",
+          "keyPoints": ["string"]
+        }
+      ]
+    }`,
+};
+
+// Difficulty and topic instructions for a new quiz. Topics the user keeps
+// missing get extra questions, unless the quiz targets a single topic;
+// adaptive quizzes also ask each topic at the level the user has reached in it.
+function topicInstructions(difficulty, history, focusTopic) {
+  const topicStats = getTopicStats(history);
+  const adaptive = difficulty === "adaptive";
+  const weakTopics = getWeakTopics(topicStats)
+    .map((stats) => stats.topic)
+    .join(", ");
+
+  const record = topicStats.map(
+    (stats) =>
+      `- ${stats.topic}: ${stats.correct}/${stats.total} correct${
+        adaptive ? `, level: ${getDifficulty(estimateLevel(stats)).prompt}` : ""
+      }`
+  );
+
+  return [
+    adaptive && record.length
+      ? `Difficulty: set per topic from the candidate's record below; ${
+          getDifficulty("medium").prompt
+        } for new topics.`
+      : `Difficulty: ${
+          getDifficulty(adaptive ? "medium" : difficulty).prompt
+        }.`,
+    record.length &&
+      `The candidate's record by topic:\n    ${record.join("\n    ")}`,
+    focusTopic &&
+      `Every question should test this topic: ${focusTopic}. Cover different aspects of it and tag each question with "${focusTopic}".`,
+    !focusTopic &&
+      weakTopics &&
+      `About half of the questions should cover the topics they keep missing: ${weakTopics}. Ask about a different aspect than before.`,
+    !focusTopic &&
+      `Tag each question with the short topic or skill it tests${
+        record.length ? ", reusing the topic names above where they fit" : ""
+      }.`,
+  ]
+    .filter(Boolean)
+    .join("\n\n    ");
+}
+
+// Grades a written answer against the rubric, as stored in `Quiz.answers`
+async function evaluateAnswer(user, quiz, question, answer) {
+  const keyPoints = question.keyPoints.map((point) => `- ${point}`);
+  const criteria = RUBRIC_CRITERIA.map(
+    (criterion) => `- ${criterion.key}: ${criterion.description}`
+  );
+  const scoreFormat = RUBRIC_CRITERIA.map(
+    (criterion) => `"${criterion.key}": number`
+  );
+
+  const prompt = `
+    You are an experienced interviewer for ${user.industry} roles.
+    Grade the candidate's answer to this ${quiz.category.toLowerCase()} interview question.
+
+    Question: "${question.question}"
+
+    A strong answer covers:
+    ${keyPoints.join("\n    ")}
+
+    Candidate's answer:
+    """
+    ${answer}
+    """
+
+    Score each criterion from 1 (poor) to ${RUBRIC_MAX_SCORE} (excellent):
+    ${criteria.join("\n    ")}
+
+    Then give two or three sentences of specific, encouraging feedback and a model answer of about 150 words.
+
+    Return the response in this JSON format only, no additional text:
+    {
+      "scores": { ${scoreFormat.join(", ")} },
+      "feedback": "string",
+      "modelAnswer": "string"
     }
   `;
 
   try {
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const text = response.text();
-    const cleanedText = text.replace(/```(?:json)?\n?/g, "").trim();
-    const quiz = JSON.parse(cleanedText);
+    const evaluation = await generateStructured(
+      "answerEvaluation",
+      prompt,
+      answerEvaluationSchema
+    );
+
+    const total = RUBRIC_CRITERIA.reduce(
+      (sum, criterion) => sum + evaluation.scores[criterion.key],
+      0
+    );
+    const score = (total / (RUBRIC_CRITERIA.length * RUBRIC_MAX_SCORE)) * 100;
+
+    return {
+      answer,
+      isCorrect: score >= PASSING_SCORE,
+      score,
+      ...evaluation,
+    };
+  } catch (error) {
+    console.error("Error evaluating answer:", error);
+    throw new Error(
+      error instanceof AIOutputError
+        ? "The AI returned an invalid evaluation, please try again"
+        : "Failed to evaluate answer"
+    );
+  }
+}
+
+export async function generateQuiz(options) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+    select: {
+      id: true,
+      industry: true,
+      skills: true,
+    },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const parsed = quizOptionsSchema.safeParse(options);
+  if (!parsed.success) throw new Error("Invalid quiz options");
+  const { mode, category, difficulty, timed, topic } = parsed.data;
+  const openEnded = mode === "open_ended";
+
+  // Mock interview answers have no topics, so they would only crowd out quizzes
+  const history = await db.assessment.findMany({
+    where: { userId: user.id, category, mode: { not: "conversation" } },
+    orderBy: { createdAt: "desc" },
+    take: HISTORY_SIZE,
+    select: { category: true, questions: true },
+  });
+
+  const prompt = `
+    Generate ${getQuizMode(mode).questionCount} interview questions for a ${
+    user.industry
+  } professional${
+    user.skills?.length ? ` with expertise in ${user.skills.join(", ")}` : ""
+  }.
+
+    Question type: ${getCategory(category).prompt}.
+
+    ${topicInstructions(difficulty, history, topic)}
+    
+    ${QUESTION_FORMATS[mode]}
+  `;
+
+  try {
+    const { questions } = openEnded
+      ? await generateStructured("openEndedQuiz", prompt, openEndedQuizSchema)
+      : await generateStructured("quiz", prompt, quizSchema);
 
-    return quiz.questions;
+    const quiz = await db.quiz.create({
+      data: {
+        userId: user.id,
+        category,
+        difficulty,
+        mode,
+        questions,
+        answers: questions.map(() => null),
+        currentQuestion: 0,
+        currentQuestionStartedAt: new Date(),
+        ...(timed && {
+          timeLimit: getQuizMode(mode).timeLimit,
+          questionTimeLimit: getQuizMode(mode).questionTimeLimit,
+        }),
+      },
+    });
+
+    return clientQuiz(quiz);
   } catch (error) {
     console.error("Error generating quiz:", error);
-    throw new Error("Failed to generate quiz questions");
+    throw new Error(
+      error instanceof AIOutputError
+        ? "The AI returned an invalid quiz, please try again"
+        : "Failed to generate quiz questions"
+    );
+  }
+}
+
+// An unfinished quiz to pick up where it was left, or null when it has been
+// completed or has expired. The clock of a timed quiz keeps running while it
+// is left, so one whose time ran out can't be resumed either.
+export async function getQuiz(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  await expireStaleQuizzes(user.id);
+
+  const quiz = await db.quiz.findUnique({
+    where: {
+      id,
+      userId: user.id,
+      status: "in_progress",
+    },
+  });
+  if (!quiz || isPastDeadline(quiz)) return null;
+
+  const next = quiz.answers.findIndex((answer) => !answer);
+  return clientQuiz(next === -1 ? quiz : await serveQuestion(quiz, next));
+}
+
+// Moves on to the next question. Questions are answered in order, so only the
+// first unanswered one can be shown.
+export async function startQuizQuestion(quizId, index) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  await expireStaleQuizzes(user.id);
+
+  const quiz = await db.quiz.findUnique({
+    where: {
+      id: quizId,
+      userId: user.id,
+    },
+  });
+
+  if (!quiz) throw new Error("Quiz not found");
+  if (quiz.status === "expired") throw new Error("This quiz has expired");
+  if (quiz.status !== "in_progress") {
+    throw new Error("This quiz is already finished");
+  }
+  if (index !== quiz.answers.findIndex((answer) => !answer)) {
+    throw new Error("Question not found");
+  }
+
+  try {
+    return clientQuiz(await serveQuestion(quiz, index));
+  } catch (error) {
+    console.error("Error starting quiz question:", error);
+    throw new Error("Failed to load the next question");
+  }
+}
+
+// Quizzes started but not finished that can still be resumed, with how far
+// the user got
+export async function getUnfinishedQuizzes() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  try {
+    await expireStaleQuizzes(user.id);
+
+    const quizzes = await db.quiz.findMany({
+      where: {
+        userId: user.id,
+        status: "in_progress",
+      },
+      orderBy: {
+        updatedAt: "desc",
+      },
+    });
+
+    return quizzes
+      .filter((quiz) => !isPastDeadline(quiz))
+      .map((quiz) => ({
+        id: quiz.id,
+        category: quiz.category,
+        difficulty: quiz.difficulty,
+        mode: quiz.mode,
+        timed: !!quiz.timeLimit,
+        answered: quiz.answers.filter(Boolean).length,
+        total: quiz.questions.length,
+        createdAt: quiz.createdAt,
+        expiresAt: addDays(quiz.updatedAt, QUIZ_EXPIRY_DAYS),
+      }));
+  } catch (error) {
+    console.error("Error fetching unfinished quizzes:", error);
+    throw new Error("Failed to fetch unfinished quizzes");
+  }
+}
+
+// Expires an unfinished quiz the user doesn't want to resume
+export async function discardQuiz(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const quiz = await db.quiz.update({
+    where: {
+      id,
+      userId: user.id,
+      status: "in_progress",
+    },
+    data: { status: "expired" },
+  });
+
+  revalidatePath("/interview");
+  return { id: quiz.id };
+}
+
+// Grades one answer. The correct answer and explanation are only revealed
+// once the question has been answered, and answers can't be changed after.
+// `timeSpent` is the seconds the question was on screen; in a timed quiz an
+// empty answer means its time ran out.
+export async function submitQuizAnswer(quizId, index, answer) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  // A quiz left open in another tab can't be answered past its expiry
+  await expireStaleQuizzes(user.id);
+
+  const quiz = await db.quiz.findUnique({
+    where: {
+      id: quizId,
+      userId: user.id,
+    },
+  });
+
+  if (!quiz) throw new Error("Quiz not found");
+  if (quiz.status === "expired") throw new Error("This quiz has expired");
+  if (quiz.status !== "in_progress") {
+    throw new Error("This quiz is already finished");
+  }
+
+  if (!Number.isInteger(index) || index < 0 || index >= quiz.questions.length) {
+    throw new Error("Question not found");
+  }
+  const question = quiz.questions[index];
+  const answered = question.options
+    ? question.options.includes(answer)
+    : !!answer?.trim();
+  if (!answered && !quiz.questionTimeLimit) throw new Error("Invalid answer");
+  if (quiz.answers[index]) {
+    return revealAnswer(question, quiz.answers[index]);
+  }
+  if (isPastDeadline(quiz, DEADLINE_GRACE_SECONDS)) {
+    throw new Error("Time is up for this quiz");
+  }
+
+  // Time spent is measured on the server, from when the question was shown.
+  // Untimed quizzes begun before that was recorded get no time.
+  const started =
+    quiz.currentQuestion === index ? quiz.currentQuestionStartedAt : null;
+  if (!started && quiz.questionTimeLimit) {
+    throw new Error("Question not started");
   }
+  const seconds = started ? differenceInSeconds(new Date(), started) : null;
+  const timedOut =
+    !answered ||
+    (!!quiz.questionTimeLimit &&
+      seconds > quiz.questionTimeLimit + DEADLINE_GRACE_SECONDS);
+
+  const grading = timedOut
+    ? { answer: null, isCorrect: false, timedOut: true }
+    : question.options
+    ? { answer, isCorrect: answer === question.correctAnswer }
+    : await evaluateAnswer(user, quiz, question, answer.trim());
+  const result = {
+    ...grading,
+    timeSpent:
+      seconds === null
+        ? null
+        : Math.min(seconds, quiz.questionTimeLimit ?? Infinity),
+  };
+
+  // Only written if no other answer was saved since the quiz was read, so
+  // concurrent submits can't overwrite each other's answers
+  let saved;
+  try {
+    saved = await db.quiz.updateMany({
+      where: { id: quiz.id, updatedAt: quiz.updatedAt },
+      data: {
+        answers: quiz.answers.map((existing, i) =>
+          i === index ? result : existing
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Error saving quiz answer:", error);
+    throw new Error("Failed to save answer");
+  }
+  if (!saved.count) {
+    throw new Error("Another answer was saved at the same time, try again");
+  }
+
+  return revealAnswer(question, result);
 }
 
-export async function saveQuizResult(questions, answers, score) {
+// Scores the answers stored on the server and records the assessment
+export async function saveQuizResult(quizId) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
@@ -67,13 +554,80 @@ export async function saveQuizResult(questions, answers, score) {
 
   if (!user) throw new Error("User not found");
 
-  const questionResults = questions.map((q, index) => ({
-    question: q.question,
-    answer: q.correctAnswer,
-    userAnswer: answers[index],
-    isCorrect: q.correctAnswer === answers[index],
-    explanation: q.explanation,
-  }));
+  await expireStaleQuizzes(user.id);
+
+  const quiz = await db.quiz.findUnique({
+    where: {
+      id: quizId,
+      userId: user.id,
+    },
+    include: { assessment: true },
+  });
+
+  if (!quiz) throw new Error("Quiz not found");
+  if (quiz.assessment) return quiz.assessment;
+  if (quiz.status === "expired") throw new Error("This quiz has expired");
+  // When a timed quiz runs out, the questions not reached count as wrong
+  if (
+    quiz.answers.some((answer) => !answer) &&
+    !isPastDeadline(quiz, -DEADLINE_GRACE_SECONDS)
+  ) {
+    throw new Error("Answer every question before finishing the quiz");
+  }
+
+  const questionResults = quiz.questions.map((q, index) => {
+    const result = quiz.answers[index] ?? {
+      answer: null,
+      isCorrect: false,
+      timedOut: true,
+      timeSpent: null,
+    };
+    const timing = { timeSpent: result.timeSpent, timedOut: result.timedOut };
+
+    if (q.options) {
+      return {
+        question: q.question,
+        topic: q.topic,
+        options: q.options,
+        answer: q.correctAnswer,
+        userAnswer: result.answer,
+        isCorrect: result.isCorrect,
+        explanation: q.explanation,
+        ...timing,
+      };
+    }
+    // Written answers that ran out of time were never evaluated
+    if (result.timedOut) {
+      return {
+        question: q.question,
+        topic: q.topic,
+        answer: q.keyPoints.join("; "),
+        userAnswer: null,
+        isCorrect: false,
+        explanation: null,
+        score: 0,
+        ...timing,
+      };
+    }
+    return {
+      question: q.question,
+      topic: q.topic,
+      answer: result.modelAnswer,
+      userAnswer: result.answer,
+      isCorrect: result.isCorrect,
+      explanation: result.feedback,
+      scores: result.scores,
+      score: result.score,
+      ...timing,
+    };
+  });
+
+  // Multiple choice answers are all or nothing, written ones score on the rubric
+  const score =
+    questionResults.reduce(
+      (sum, q) => sum + (q.score ?? (q.isCorrect ? 100 : 0)),
+      0
+    ) / questionResults.length;
 
   // Get wrong answers
   const wrongAnswers = questionResults.filter((q) => !q.isCorrect);
@@ -82,14 +636,18 @@ export async function saveQuizResult(questions, answers, score) {
   let improvementTip = null;
   if (wrongAnswers.length > 0) {
     const wrongQuestionsText = wrongAnswers
-      .map(
-        (q) =>
-          `Question: "${q.question}"\nCorrect Answer: "${q.answer}"\nUser Answer: "${q.userAnswer}"`
-      )
+      .map((q) => {
+        const userAnswer = q.timedOut
+          ? "(ran out of time)"
+          : `"${q.userAnswer}"`;
+        return `Question: "${q.question}"\nCorrect Answer: "${q.answer}"\nUser Answer: ${userAnswer}`;
+      })
       .join("\n\n");
 
     const improvementPrompt = `
-      The user got the following ${user.industry} technical interview questions wrong:
+      The user got the following ${
+        user.industry
+      } ${quiz.category.toLowerCase()} interview questions wrong:
 
       ${wrongQuestionsText}
 
@@ -100,9 +658,9 @@ export async function saveQuizResult(questions, answers, score) {
     `;
 
     try {
-      const tipResult = await model.generateContent(improvementPrompt);
-
-      improvementTip = tipResult.response.text().trim();
+      improvementTip = (
+        await getModel("improvementTip").generateText(improvementPrompt)
+      ).trim();
       console.log(improvementTip);
     } catch (error) {
       console.error("Error generating improvement tip:", error);
@@ -111,14 +669,24 @@ export async function saveQuizResult(questions, answers, score) {
   }
 
   try {
-    const assessment = await db.assessment.create({
+    const { assessment } = await db.quiz.update({
+      where: { id: quiz.id },
       data: {
-        userId: user.id,
-        quizScore: score,
-        questions: questionResults,
-        category: "Technical",
-        improvementTip,
+        status: "completed",
+        assessment: {
+          create: {
+            userId: user.id,
+            quizScore: score,
+            questions: questionResults,
+            category: quiz.category,
+            difficulty: quiz.difficulty,
+            mode: quiz.mode,
+            timeLimit: quiz.timeLimit,
+            improvementTip,
+          },
+        },
       },
+      include: { assessment: true },
     });
 
     return assessment;
@@ -146,6 +714,12 @@ export async function getAssessments() {
       orderBy: {
         createdAt: "asc",
       },
+      include: {
+        // Mock interviews keep their report on the session
+        interviewSession: {
+          select: { id: true, jobTitle: true, companyName: true, report: true },
+        },
+      },
     });
 
     return assessments;
@@ -0,0 +1,42 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { extractJobSkills, matchJobSkills } from "@/lib/job-match";
+
+// Without a resumeId the most recently updated resume is used
+export async function analyzeJobMatch({ jobDescription, resumeId }) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+  if (!jobDescription?.trim()) throw new Error("Job description is required");
+
+  const resume = await db.resume.findFirst({
+    where: {
+      userId: user.id,
+      ...(resumeId && { id: resumeId }),
+    },
+    orderBy: {
+      updatedAt: "desc",
+    },
+    select: {
+      title: true,
+      content: true,
+    },
+  });
+
+  const skills = await extractJobSkills(jobDescription);
+
+  return {
+    resumeTitle: resume?.title ?? null,
+    ...matchJobSkills(skills, {
+      profileSkills: user.skills,
+      resumeContent: resume?.content ?? "",
+    }),
+  };
+}
@@ -1,14 +1,22 @@
 "use server";
 
 import { db } from "@/lib/prisma";
+import { Prisma } from "@prisma/client";
 import { auth } from "@clerk/nextjs/server";
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { getModel } from "@/lib/ai/client";
+import { generateStructured } from "@/lib/ai/structured";
+import { parsedResumeSchema } from "@/lib/ai/schemas";
+import { scoreResume } from "@/lib/ats";
+import {
+  newResumeSchema,
+  resumeThemeSchema,
+  savedResumeSchema,
+} from "@/app/lib/schema";
+import { extractAchievements } from "@/lib/resume-facts";
 import { revalidatePath } from "next/cache";
+import { format } from "date-fns";
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
-export async function saveResume(content) {
+export async function createResume(data) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
@@ -18,17 +26,85 @@ export async function saveResume(content) {
 
   if (!user) throw new Error("User not found");
 
-  try {
-    const resume = await db.resume.upsert({
+  const parsed = newResumeSchema.safeParse(data);
+  if (!parsed.success) throw new Error("Invalid resume");
+  const { title, parentId } = parsed.data;
+
+  // Forking copies the source content. Tailored copies always hang off the
+  // master, so forking a tailored resume creates a sibling, not a grandchild.
+  let source = null;
+  if (parentId) {
+    source = await db.resume.findUnique({
       where: {
+        id: parentId,
         userId: user.id,
       },
-      update: {
-        content,
+    });
+
+    if (!source) throw new Error("Resume not found");
+  }
+
+  try {
+    const resume = await db.resume.create({
+      data: {
+        userId: user.id,
+        title,
+        content: source?.content ?? "",
+        formData: source?.formData ?? Prisma.DbNull,
+        theme: source?.theme ?? Prisma.DbNull,
+        parentId: source ? source.parentId ?? source.id : null,
+        ...(source?.content && {
+          versions: {
+            create: {
+              content: source.content,
+              formData: source.formData ?? Prisma.DbNull,
+              label: `Copied from ${source.title}`,
+            },
+          },
+        }),
       },
-      create: {
+    });
+
+    revalidatePath("/resume");
+    return resume;
+  } catch (error) {
+    console.error("Error creating resume:", error);
+    throw new Error("Failed to create resume");
+  }
+}
+
+// `formData` holds the builder form values so the form can be rehydrated,
+// `content` the markdown rendered from them (or edited by hand)
+export async function saveResume(id, data) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const parsed = savedResumeSchema.safeParse(data);
+  if (!parsed.success) throw new Error("Invalid resume");
+  const { content, formData, label } = parsed.data;
+
+  try {
+    const resume = await db.resume.update({
+      where: {
+        id,
         userId: user.id,
+      },
+      data: {
         content,
+        formData: formData ?? Prisma.DbNull,
+        versions: {
+          create: {
+            content,
+            formData: formData ?? Prisma.DbNull,
+            label: label || null,
+          },
+        },
       },
     });
 
@@ -40,7 +116,67 @@ export async function saveResume(content) {
   }
 }
 
-export async function getResume() {
+// The theme only changes presentation, so it is saved on its own without
+// creating a version
+export async function updateResumeTheme(id, theme) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const parsed = resumeThemeSchema.safeParse(theme);
+  if (!parsed.success) throw new Error("Invalid resume theme");
+
+  try {
+    const resume = await db.resume.update({
+      where: {
+        id,
+        userId: user.id,
+      },
+      data: { theme: parsed.data },
+    });
+
+    revalidatePath(`/resume/${id}`);
+    return resume;
+  } catch (error) {
+    console.error("Error updating resume theme:", error);
+    throw new Error("Failed to update resume theme");
+  }
+}
+
+export async function getResumes() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return await db.resume.findMany({
+    where: {
+      userId: user.id,
+    },
+    select: {
+      id: true,
+      title: true,
+      parentId: true,
+      atsScore: true,
+      createdAt: true,
+      updatedAt: true,
+    },
+    orderBy: {
+      updatedAt: "desc",
+    },
+  });
+}
+
+export async function getResume(id) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
@@ -52,9 +188,214 @@ export async function getResume() {
 
   return await db.resume.findUnique({
     where: {
+      id,
+      userId: user.id,
+    },
+    include: {
+      parent: {
+        select: { id: true, title: true },
+      },
+    },
+  });
+}
+
+// Achievements a cover letter can be asked to feature
+export async function getResumeAchievements(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const resume = await db.resume.findUnique({
+    where: {
+      id,
+      userId: user.id,
+    },
+  });
+
+  if (!resume) throw new Error("Resume not found");
+
+  return extractAchievements(resume);
+}
+
+export async function deleteResume(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const resume = await db.resume.delete({
+    where: {
+      id,
       userId: user.id,
     },
   });
+
+  revalidatePath("/resume");
+  return resume;
+}
+
+export async function getResumeVersions(resumeId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return await db.resumeVersion.findMany({
+    where: {
+      resumeId,
+      resume: { userId: user.id },
+    },
+    orderBy: {
+      createdAt: "desc",
+    },
+  });
+}
+
+// Restoring never rewrites history: the old content is saved as a new version
+export async function restoreResumeVersion(versionId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const version = await db.resumeVersion.findFirst({
+    where: {
+      id: versionId,
+      resume: { userId: user.id },
+    },
+  });
+
+  if (!version) throw new Error("Version not found");
+
+  try {
+    const resume = await db.resume.update({
+      where: {
+        id: version.resumeId,
+      },
+      data: {
+        content: version.content,
+        formData: version.formData ?? Prisma.DbNull,
+        versions: {
+          create: {
+            content: version.content,
+            formData: version.formData ?? Prisma.DbNull,
+            label: `Restored from ${
+              version.label || format(version.createdAt, "PPp")
+            }`,
+          },
+        },
+      },
+    });
+
+    revalidatePath("/resume");
+    return resume;
+  } catch (error) {
+    console.error("Error restoring resume version:", error);
+    throw new Error("Failed to restore resume version");
+  }
+}
+
+export async function analyzeResume(id, jobDescription) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const resume = await db.resume.findUnique({
+    where: {
+      id,
+      userId: user.id,
+    },
+  });
+
+  if (!resume) throw new Error("Resume not found");
+  if (!resume.content.trim()) throw new Error("Save your resume first");
+
+  const { score, components, keywords } = scoreResume(
+    resume.content,
+    jobDescription
+  );
+
+  const breakdownText = components
+    .map((c) => `- ${c.label}: ${c.score}/100 (${c.details})`)
+    .join("\n");
+
+  const prompt = `
+    As an expert resume reviewer, give feedback on the following ${
+      user.industry
+    } resume${jobDescription?.trim() ? " for the job description below" : ""}.
+
+    An automated ATS check scored it ${score}/100:
+    ${breakdownText}
+    ${
+      keywords?.missing.length
+        ? `Missing keywords: ${keywords.missing.join(", ")}`
+        : ""
+    }
+
+    Resume:
+    ${resume.content}
+    ${jobDescription?.trim() ? `\nJob Description:\n${jobDescription}` : ""}
+
+    Requirements:
+    1. Give 3 to 5 specific, actionable improvements as a markdown bullet list
+    2. Refer to concrete lines or sections of the resume
+    3. Do not suggest adding skills or experience the candidate doesn't show
+    4. No introduction or closing remarks
+  `;
+
+  // The rule-based score stands on its own if the AI commentary fails
+  let feedback = null;
+  try {
+    feedback = (await getModel("resume").generateText(prompt)).trim();
+  } catch (error) {
+    console.error("Error generating resume feedback:", error);
+  }
+
+  try {
+    const updated = await db.resume.update({
+      where: {
+        id: resume.id,
+      },
+      data: {
+        atsScore: score,
+        atsBreakdown: {
+          components,
+          keywords,
+          jobDescription: jobDescription?.trim() || null,
+          analyzedAt: new Date().toISOString(),
+        },
+        feedback,
+      },
+    });
+
+    revalidatePath("/resume");
+    return updated;
+  } catch (error) {
+    console.error("Error saving resume analysis:", error);
+    throw new Error("Failed to save resume analysis");
+  }
 }
 
 export async function improveWithAI({ current, type }) {
@@ -87,12 +428,49 @@ export async function improveWithAI({ current, type }) {
   `;
 
   try {
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const improvedContent = response.text().trim();
+    const improvedContent = (
+      await getModel("resume").generateText(prompt)
+    ).trim();
     return improvedContent;
   } catch (error) {
     console.error("Error improving content:", error);
     throw new Error("Failed to improve content");
   }
 }
+
+// Fallback for free-text resumes the markdown parser can't make sense of
+export async function parseResumeWithAI(text) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const prompt = `
+    Extract the structured data from the following resume. Return it in this JSON format only, no additional text:
+    {
+      "contactInfo": { "email": "string", "mobile": "string", "linkedin": "string", "twitter": "string" },
+      "summary": "string",
+      "skills": "string",
+      "experience": [
+        { "title": "string", "organization": "string", "startDate": "string", "endDate": "string", "description": "string", "current": boolean }
+      ],
+      "education": [ same shape as experience ],
+      "projects": [ same shape as experience ]
+    }
+
+    Rules:
+    1. Use an empty string for anything that is missing, never invent details
+    2. Dates use the "MMM yyyy" format (e.g. "Jan 2023")
+    3. For a current position set "current" to true and "endDate" to ""
+    4. Keep descriptions in the candidate's own words; bullet points may stay as markdown lists
+    5. "skills" is a comma-separated list
+
+    Resume:
+    ${text}
+  `;
+
+  try {
+    return await generateStructured("resumeImport", prompt, parsedResumeSchema);
+  } catch (error) {
+    console.error("Error parsing resume:", error);
+    throw new Error("Failed to parse resume");
+  }
+}
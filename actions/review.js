@@ -0,0 +1,123 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { endOfDay } from "date-fns";
+import {
+  DAILY_REVIEW_LIMIT,
+  getReviewGrade,
+  missedQuestionCards,
+  scheduleReview,
+} from "@/lib/review-deck";
+import { revalidatePath } from "next/cache";
+
+// Adds the questions missed in quizzes taken since the last sync to the deck.
+// Missing a question that is already in the deck counts as a lapse: the card
+// starts over and is due right away, however far out it was scheduled.
+async function syncReviewDeck(userId) {
+  const assessments = await db.assessment.findMany({
+    where: {
+      userId,
+      mode: { not: "conversation" },
+      reviewSyncedAt: null,
+    },
+    orderBy: { createdAt: "asc" },
+  });
+  if (!assessments.length) return;
+
+  // One card per question, from the latest assessment it was missed in
+  const cards = new Map(
+    assessments
+      .flatMap(missedQuestionCards)
+      .map((card) => [card.question, card])
+  );
+  const now = new Date();
+
+  await db.$transaction([
+    ...[...cards.values()].map((card) =>
+      db.reviewCard.upsert({
+        where: { userId_question: { userId, question: card.question } },
+        create: { ...card, userId },
+        update: {
+          ...card,
+          interval: 0,
+          repetitions: 0,
+          lapses: { increment: 1 },
+          dueAt: now,
+        },
+      })
+    ),
+    db.assessment.updateMany({
+      where: { id: { in: assessments.map((assessment) => assessment.id) } },
+      data: { reviewSyncedAt: now },
+    }),
+  ]);
+}
+
+// Today's queue: cards due by the end of the day, most overdue first
+export async function getReviewQueue() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  try {
+    await syncReviewDeck(user.id);
+
+    const due = { userId: user.id, dueAt: { lte: endOfDay(new Date()) } };
+    const [cards, dueCount, deckSize] = await Promise.all([
+      db.reviewCard.findMany({
+        where: due,
+        orderBy: { dueAt: "asc" },
+        take: DAILY_REVIEW_LIMIT,
+      }),
+      db.reviewCard.count({ where: due }),
+      db.reviewCard.count({ where: { userId: user.id } }),
+    ]);
+
+    return { cards, dueCount, deckSize };
+  } catch (error) {
+    console.error("Error fetching review queue:", error);
+    throw new Error("Failed to fetch review queue");
+  }
+}
+
+// Reschedules a card from how well the user recalled it
+export async function gradeReviewCard(id, grade) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  if (!getReviewGrade(grade)) throw new Error("Invalid grade");
+
+  const card = await db.reviewCard.findUnique({
+    where: {
+      id,
+      userId: user.id,
+    },
+  });
+
+  if (!card) throw new Error("Card not found");
+
+  try {
+    const updated = await db.reviewCard.update({
+      where: { id: card.id },
+      data: scheduleReview(card, grade),
+    });
+
+    revalidatePath("/interview");
+    return updated;
+  } catch (error) {
+    console.error("Error grading review card:", error);
+    throw new Error("Failed to save review");
+  }
+}
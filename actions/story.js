@@ -0,0 +1,222 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { Prisma } from "@prisma/client";
+import { auth } from "@clerk/nextjs/server";
+import { generateStructured } from "@/lib/ai/structured";
+import { starCritiqueSchema } from "@/lib/ai/schemas";
+import { AIOutputError } from "@/lib/ai/errors";
+import { storyDraftSchema, storySchema } from "@/app/lib/schema";
+import { COMPETENCIES, STAR_PARTS } from "@/lib/star-stories";
+import { revalidatePath } from "next/cache";
+
+// Validated columns for a create or update. The critique shown in the editor
+// is saved with the story, so it is still there when the story is reopened.
+function storyData(data) {
+  const parsed = storySchema.safeParse(data);
+  if (!parsed.success) throw new Error("Invalid story");
+
+  const critique = starCritiqueSchema.safeParse(data.critique);
+
+  return {
+    ...parsed.data,
+    prompt: parsed.data.prompt?.trim() || null,
+    critique: critique.success ? critique.data : Prisma.DbNull,
+  };
+}
+
+export async function getStories() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return await db.story.findMany({
+    where: {
+      userId: user.id,
+    },
+    orderBy: {
+      updatedAt: "desc",
+    },
+  });
+}
+
+export async function getStory(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return await db.story.findUnique({
+    where: {
+      id,
+      userId: user.id,
+    },
+  });
+}
+
+export async function createStory(data) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const fields = storyData(data);
+
+  try {
+    const story = await db.story.create({
+      data: {
+        ...fields,
+        userId: user.id,
+      },
+    });
+
+    revalidatePath("/interview/stories");
+    return story;
+  } catch (error) {
+    console.error("Error creating story:", error);
+    throw new Error("Failed to save story");
+  }
+}
+
+export async function updateStory(id, data) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const fields = storyData(data);
+
+  try {
+    const story = await db.story.update({
+      where: {
+        id,
+        userId: user.id,
+      },
+      data: fields,
+    });
+
+    revalidatePath("/interview/stories");
+    revalidatePath(`/interview/stories/${id}`);
+    return story;
+  } catch (error) {
+    console.error("Error updating story:", error);
+    throw new Error("Failed to save story");
+  }
+}
+
+export async function deleteStory(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const story = await db.story.delete({
+    where: {
+      id,
+      userId: user.id,
+    },
+  });
+
+  revalidatePath("/interview/stories");
+  return story;
+}
+
+// Critiques each STAR part of a draft story. Empty parts are allowed, so the
+// user can get feedback before the story is finished.
+export async function critiqueStory(draft) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const parsed = storyDraftSchema.safeParse(draft);
+  if (!parsed.success) throw new Error("Invalid story");
+  const data = parsed.data;
+  if (STAR_PARTS.every((part) => !data[part.key].trim())) {
+    throw new Error("Write at least one part of the story first");
+  }
+
+  const question = data.prompt?.trim()
+    ? `Interview question: "${data.prompt.trim()}"`
+    : "";
+  const parts = STAR_PARTS.map(
+    (part) =>
+      `${part.label} (${part.description}):\n    ${
+        data[part.key].trim() || "(not written yet)"
+      }`
+  );
+
+  const competencies = COMPETENCIES.join(", ");
+
+  const prompt = `
+    You are an interview coach for ${user.industry} professionals.
+    Critique this behavioral interview answer, written with the STAR method.
+
+    ${question}
+
+    ${parts.join("\n\n    ")}
+
+    Rate each part from 1 (weak) to 5 (strong) and give one or two sentences of specific feedback on how to improve it. A strong answer is concise, told in the first person, focused on the candidate's own actions and ends with a measurable result.
+    Then summarize the story's overall strength in two sentences, and suggest which of these competencies it demonstrates:
+    ${competencies}
+
+    Return the response in this JSON format only, no additional text:
+    {
+      "parts": {
+        "situation": { "rating": number, "feedback": "string" },
+        "task": { "rating": number, "feedback": "string" },
+        "action": { "rating": number, "feedback": "string" },
+        "result": { "rating": number, "feedback": "string" }
+      },
+      "overall": "string",
+      "suggestedCompetencies": ["string"]
+    }
+  `;
+
+  try {
+    const critique = await generateStructured(
+      "starCritique",
+      prompt,
+      starCritiqueSchema
+    );
+
+    return {
+      ...critique,
+      suggestedCompetencies: critique.suggestedCompetencies.filter(
+        (competency) => COMPETENCIES.includes(competency)
+      ),
+    };
+  } catch (error) {
+    console.error("Error critiquing story:", error);
+    throw new Error(
+      error instanceof AIOutputError
+        ? "The AI returned an invalid critique, please try again"
+        : "Failed to critique story"
+    );
+  }
+}
@@ -4,6 +4,7 @@ import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
 import { generateAIInsights } from "./dashboard";
+import { AIOutputError } from "@/lib/ai/errors";
 
 export async function updateUser(data) {
   const { userId } = await auth();
@@ -63,7 +64,11 @@ export async function updateUser(data) {
     return result.user;
   } catch (error) {
     console.error("Error updating user and industry:", error.message);
-    throw new Error("Failed to update profile");
+    throw new Error(
+      error instanceof AIOutputError
+        ? "Could not generate industry insights, please try again"
+        : "Failed to update profile"
+    );
   }
 }
 
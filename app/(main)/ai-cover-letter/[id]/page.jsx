@@ -1,13 +1,19 @@
 import Link from "next/link";
+import { notFound } from "next/navigation";
 import { ArrowLeft } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { getCoverLetter } from "@/actions/cover-letter";
-import CoverLetterPreview from "../_components/cover-letter-preview";
+import ExportMenu from "@/components/export-menu";
+import { describeCoverLetterOptions } from "@/lib/cover-letter-options";
+import CoverLetterEditor from "../_components/cover-letter-editor";
+import StatusMenu, { StatusTimeline } from "../_components/status-menu";
 
 export default async function EditCoverLetterPage({ params }) {
   const { id } = await params;
   const coverLetter = await getCoverLetter(id);
 
+  if (!coverLetter) notFound();
+
   return (
     <div className="container mx-auto py-6">
       <div className="flex flex-col space-y-2">
@@ -18,12 +24,24 @@ export default async function EditCoverLetterPage({ params }) {
           </Button>
         </Link>
 
-        <h1 className="text-6xl font-bold gradient-title mb-6">
-          {coverLetter?.jobTitle} at {coverLetter?.companyName}
-        </h1>
+        <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-2 mb-6">
+          <div>
+            <h1 className="text-6xl font-bold gradient-title">
+              {coverLetter.jobTitle} at {coverLetter.companyName}
+            </h1>
+            <p className="text-muted-foreground">
+              {describeCoverLetterOptions(coverLetter.options)}
+            </p>
+            <div className="flex flex-wrap items-center gap-2 mt-2">
+              <StatusMenu coverLetter={coverLetter} />
+              <StatusTimeline history={coverLetter.statusHistory} />
+            </div>
+          </div>
+          <ExportMenu type="cover-letter" id={id} />
+        </div>
       </div>
 
-      <CoverLetterPreview content={coverLetter?.content} />
+      <CoverLetterEditor coverLetter={coverLetter} />
     </div>
   );
 }
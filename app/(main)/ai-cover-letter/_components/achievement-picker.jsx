@@ -0,0 +1,117 @@
+"use client";
+
+import { useEffect } from "react";
+import { Loader2 } from "lucide-react";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { getResumeAchievements } from "@/actions/resume";
+import useFetch from "@/hooks/use-fetch";
+
+// Picks the resume a cover letter is grounded in and the achievements from it
+// that the letter should feature
+export default function AchievementPicker({
+  resumes,
+  resumeId,
+  onResumeChange,
+  selected,
+  onSelectedChange,
+}) {
+  const {
+    loading: loadingAchievements,
+    fn: fetchAchievements,
+    data: achievements,
+    setData: setAchievements,
+  } = useFetch(getResumeAchievements);
+
+  useEffect(() => {
+    if (resumeId) {
+      fetchAchievements(resumeId);
+    } else {
+      setAchievements(undefined);
+    }
+  }, [resumeId]);
+
+  const toggle = (id) =>
+    onSelectedChange(
+      selected.includes(id)
+        ? selected.filter((item) => item !== id)
+        : [...selected, id]
+    );
+
+  // Group consecutive achievements under their job or project
+  const groups = (achievements ?? []).reduce((acc, achievement) => {
+    const last = acc[acc.length - 1];
+    if (last?.entry === achievement.entry) last.items.push(achievement);
+    else acc.push({ entry: achievement.entry, items: [achievement] });
+    return acc;
+  }, []);
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor="resumeId">Ground in Resume</Label>
+        <Select
+          value={resumeId ?? "none"}
+          onValueChange={(value) => {
+            onResumeChange(value === "none" ? undefined : value);
+            onSelectedChange([]);
+          }}
+        >
+          <SelectTrigger id="resumeId">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="none">Profile only</SelectItem>
+            {resumes.map((resume) => (
+              <SelectItem key={resume.id} value={resume.id}>
+                {resume.title}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <p className="text-xs text-muted-foreground">
+          The letter only cites facts from your profile and this resume
+        </p>
+      </div>
+
+      {loadingAchievements && <Loader2 className="h-4 w-4 animate-spin" />}
+
+      {resumeId && achievements && !achievements.length && (
+        <p className="text-sm text-muted-foreground">
+          This resume has no experience or project descriptions yet.
+        </p>
+      )}
+
+      {groups.length > 0 && (
+        <div className="space-y-3">
+          <Label>Achievements to Feature ({selected.length} selected)</Label>
+          {groups.map((group) => (
+            <div key={group.entry} className="space-y-2">
+              <p className="text-sm font-medium">{group.entry}</p>
+              {group.items.map((achievement) => (
+                <label
+                  key={achievement.id}
+                  className="flex items-start gap-2 border rounded-lg p-3 text-sm"
+                >
+                  <input
+                    type="checkbox"
+                    className="mt-1"
+                    checked={selected.includes(achievement.id)}
+                    onChange={() => toggle(achievement.id)}
+                  />
+                  <span>{achievement.text}</span>
+                </label>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,253 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Loader2, RefreshCw, Save, Sparkles, X } from "lucide-react";
+import { toast } from "sonner";
+import MDEditor from "@uiw/react-md-editor";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import {
+  regenerateCoverLetter,
+  reviseCoverLetter,
+  updateCoverLetter,
+} from "@/actions/cover-letter";
+import useFetch from "@/hooks/use-fetch";
+import RevisionHistory from "./revision-history";
+
+const QUICK_REVISIONS = [
+  "Make it shorter",
+  "Make it more formal",
+  "Make it more enthusiastic",
+  "Emphasize leadership",
+];
+
+export default function CoverLetterEditor({ coverLetter }) {
+  const [content, setContent] = useState(coverLetter.content);
+  const [savedContent, setSavedContent] = useState(coverLetter.content);
+  const [lastChangedAt, setLastChangedAt] = useState(coverLetter.updatedAt);
+  const [selection, setSelection] = useState("");
+  const [instruction, setInstruction] = useState("");
+  const [activeTab, setActiveTab] = useState("edit");
+
+  const {
+    loading: isSaving,
+    fn: updateCoverLetterFn,
+    data: savedLetter,
+  } = useFetch(updateCoverLetter);
+
+  const {
+    loading: isRevising,
+    fn: reviseCoverLetterFn,
+    data: revisedLetter,
+  } = useFetch(reviseCoverLetter);
+
+  const {
+    loading: isRegenerating,
+    fn: regenerateCoverLetterFn,
+    data: regeneratedLetter,
+  } = useFetch(regenerateCoverLetter);
+
+  // Saves, revisions, regenerations and restores all return the updated letter
+  const applyLetter = (letter) => {
+    setContent(letter.content);
+    setSavedContent(letter.content);
+    setLastChangedAt(letter.updatedAt);
+    setSelection("");
+  };
+
+  useEffect(() => {
+    if (savedLetter && !isSaving) {
+      applyLetter(savedLetter);
+      toast.success("Cover letter saved!");
+    }
+  }, [savedLetter, isSaving]);
+
+  useEffect(() => {
+    if (revisedLetter && !isRevising) {
+      applyLetter(revisedLetter);
+      setInstruction("");
+      toast.success("Revision applied!");
+    }
+  }, [revisedLetter, isRevising]);
+
+  useEffect(() => {
+    if (regeneratedLetter && !isRegenerating) {
+      applyLetter(regeneratedLetter);
+      toast.success("Cover letter regenerated!");
+    }
+  }, [regeneratedLetter, isRegenerating]);
+
+  const handleRevise = (text) =>
+    reviseCoverLetterFn(coverLetter.id, {
+      content,
+      instruction: text,
+      selection: selection || undefined,
+    });
+
+  const handleSelect = (e) => {
+    const { value, selectionStart, selectionEnd } = e.target;
+    setSelection(value.slice(selectionStart, selectionEnd).trim());
+  };
+
+  const isBusy = isSaving || isRevising || isRegenerating;
+
+  return (
+    <div data-color-mode="light" className="space-y-4">
+      <div className="flex flex-wrap justify-end gap-2">
+        <AlertDialog>
+          <AlertDialogTrigger asChild>
+            <Button variant="outline" disabled={isBusy}>
+              {isRegenerating ? (
+                <Loader2 className="h-4 w-4 animate-spin" />
+              ) : (
+                <RefreshCw className="h-4 w-4" />
+              )}
+              Regenerate
+            </Button>
+          </AlertDialogTrigger>
+          <AlertDialogContent>
+            <AlertDialogHeader>
+              <AlertDialogTitle>Regenerate Cover Letter?</AlertDialogTitle>
+              <AlertDialogDescription>
+                A new draft will be written from the job description with the
+                same options. The current draft stays in the revision history,
+                unsaved edits are lost.
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+            <AlertDialogFooter>
+              <AlertDialogCancel>Cancel</AlertDialogCancel>
+              <AlertDialogAction
+                onClick={() => regenerateCoverLetterFn(coverLetter.id)}
+              >
+                Regenerate
+              </AlertDialogAction>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialog>
+        <Button
+          variant="destructive"
+          onClick={() => updateCoverLetterFn(coverLetter.id, { content })}
+          disabled={isBusy || content === savedContent}
+        >
+          {isSaving ? (
+            <>
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Saving...
+            </>
+          ) : (
+            <>
+              <Save className="h-4 w-4" />
+              Save
+            </>
+          )}
+        </Button>
+      </div>
+
+      <Tabs value={activeTab} onValueChange={setActiveTab}>
+        <TabsList>
+          <TabsTrigger value="edit">Editor</TabsTrigger>
+          <TabsTrigger value="history">History</TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="edit" className="space-y-4">
+          <Card>
+            <CardHeader>
+              <CardTitle>AI Revisions</CardTitle>
+              <CardDescription>
+                {selection
+                  ? "Applies to the selected text only"
+                  : "Applies to the whole letter. Select text in the editor to rewrite just that passage."}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {selection && (
+                <div className="flex items-start justify-between gap-2 rounded-lg bg-muted p-3 text-sm">
+                  <p className="line-clamp-3 italic">{selection}</p>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => setSelection("")}
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                </div>
+              )}
+              <div className="flex flex-wrap gap-2">
+                {QUICK_REVISIONS.map((text) => (
+                  <Button
+                    key={text}
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleRevise(text)}
+                    disabled={isBusy}
+                  >
+                    {text}
+                  </Button>
+                ))}
+              </div>
+              <div className="flex gap-2">
+                <Input
+                  placeholder="Or describe the change, e.g. Mention my open source work"
+                  value={instruction}
+                  onChange={(e) => setInstruction(e.target.value)}
+                />
+                <Button
+                  type="button"
+                  onClick={() => handleRevise(instruction)}
+                  disabled={isBusy || !instruction.trim()}
+                >
+                  {isRevising ? (
+                    <Loader2 className="h-4 w-4 animate-spin" />
+                  ) : (
+                    <Sparkles className="h-4 w-4" />
+                  )}
+                  Revise
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+
+          <MDEditor
+            value={content}
+            onChange={(value) => setContent(value ?? "")}
+            height={700}
+            textareaProps={{ onSelect: handleSelect }}
+          />
+        </TabsContent>
+
+        <TabsContent value="history">
+          <RevisionHistory
+            coverLetterId={coverLetter.id}
+            currentContent={content}
+            lastChangedAt={lastChangedAt}
+            onRestore={(restored) => {
+              applyLetter(restored);
+              setActiveTab("edit");
+            }}
+          />
+        </TabsContent>
+      </Tabs>
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 "use client";
 
 import { useState } from "react";
-import { useForm } from "react-hook-form";
+import { useForm, Controller } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import { toast } from "sonner";
 import { Loader2 } from "lucide-react";
@@ -16,22 +16,63 @@ import {
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import JobMatchPanel from "@/components/job-match-panel";
+import AchievementPicker from "./achievement-picker";
+import StoryPicker from "./story-picker";
 import { generateCoverLetter } from "@/actions/cover-letter";
 import useFetch from "@/hooks/use-fetch";
 import { coverLetterSchema } from "@/app/lib/schema";
+import {
+  COVER_LETTER_LANGUAGES,
+  COVER_LETTER_LENGTHS,
+  COVER_LETTER_STRUCTURES,
+  COVER_LETTER_TONES,
+  DEFAULT_COVER_LETTER_OPTIONS,
+} from "@/lib/cover-letter-options";
 import { useEffect } from "react";
 import { useRouter } from "next/navigation";
 
-export default function CoverLetterGenerator() {
+const OPTION_FIELDS = [
+  { name: "tone", label: "Tone", options: COVER_LETTER_TONES },
+  { name: "length", label: "Length", options: COVER_LETTER_LENGTHS },
+  {
+    name: "language",
+    label: "Language",
+    options: COVER_LETTER_LANGUAGES.map((language) => ({
+      value: language,
+      label: language,
+    })),
+  },
+  { name: "structure", label: "Structure", options: COVER_LETTER_STRUCTURES },
+];
+
+export default function CoverLetterGenerator({ resumes, stories }) {
   const router = useRouter();
 
   const {
+    control,
     register,
     handleSubmit,
     formState: { errors },
     reset,
+    watch,
+    setValue,
   } = useForm({
     resolver: zodResolver(coverLetterSchema),
+    defaultValues: {
+      ...DEFAULT_COVER_LETTER_OPTIONS,
+      // The most recently updated resume
+      resumeId: resumes[0]?.id,
+      achievementIds: [],
+      storyIds: [],
+    },
   });
 
   const {
@@ -114,6 +155,65 @@ export default function CoverLetterGenerator() {
               )}
             </div>
 
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {OPTION_FIELDS.map(({ name, label, options }) => (
+                <div key={name} className="space-y-2">
+                  <Label htmlFor={name}>{label}</Label>
+                  <Controller
+                    name={name}
+                    control={control}
+                    render={({ field }) => (
+                      <Select
+                        value={field.value}
+                        onValueChange={field.onChange}
+                      >
+                        <SelectTrigger id={name}>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {options.map((option) => (
+                            <SelectItem key={option.value} value={option.value}>
+                              {option.label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    )}
+                  />
+                </div>
+              ))}
+            </div>
+
+            {watch("structure") === "referral" && (
+              <div className="space-y-2">
+                <Label htmlFor="referrerName">Referred By</Label>
+                <Input
+                  id="referrerName"
+                  placeholder="Name (and role) of the person who referred you"
+                  {...register("referrerName")}
+                />
+                {errors.referrerName && (
+                  <p className="text-sm text-red-500">
+                    {errors.referrerName.message}
+                  </p>
+                )}
+              </div>
+            )}
+
+            <AchievementPicker
+              resumes={resumes}
+              resumeId={watch("resumeId")}
+              onResumeChange={(id) => setValue("resumeId", id)}
+              selected={watch("achievementIds")}
+              onSelectedChange={(ids) => setValue("achievementIds", ids)}
+            />
+
+            <StoryPicker
+              stories={stories}
+              selected={watch("storyIds")}
+              onSelectedChange={(ids) => setValue("storyIds", ids)}
+            />
+
             <div className="flex justify-end">
               <Button type="submit" disabled={generating}>
                 {generating ? (
@@ -129,6 +229,11 @@ export default function CoverLetterGenerator() {
           </form>
         </CardContent>
       </Card>
+
+      <JobMatchPanel
+        jobDescription={watch("jobDescription")}
+        resumeId={watch("resumeId")}
+      />
     </div>
   );
 }
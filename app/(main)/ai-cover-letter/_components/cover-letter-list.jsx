@@ -1,8 +1,9 @@
 "use client";
 
+import { useState } from "react";
 import { useRouter } from "next/navigation";
 import { format } from "date-fns";
-import { Edit2, Eye, Trash2 } from "lucide-react";
+import { Eye, Search, Trash2 } from "lucide-react";
 import { toast } from "sonner";
 import {
   Card,
@@ -12,6 +13,14 @@ import {
   CardTitle,
 } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import {
   AlertDialog,
   AlertDialogAction,
@@ -24,9 +33,45 @@ import {
   AlertDialogTrigger,
 } from "@/components/ui/alert-dialog";
 import { deleteCoverLetter } from "@/actions/cover-letter";
+import {
+  COVER_LETTER_STATUSES,
+  getStatus,
+  statusChangedAt,
+} from "@/lib/cover-letter-status";
+import StatusMenu from "./status-menu";
+
+const SORTS = {
+  newest: {
+    label: "Newest first",
+    compare: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+  },
+  oldest: {
+    label: "Oldest first",
+    compare: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+  },
+  status: {
+    label: "Recent status change",
+    compare: (a, b) =>
+      new Date(statusChangedAt(b) ?? b.createdAt) -
+      new Date(statusChangedAt(a) ?? a.createdAt),
+  },
+  company: {
+    label: "Company A-Z",
+    compare: (a, b) => a.companyName.localeCompare(b.companyName),
+  },
+};
+
+const matches = (letter, query) =>
+  [letter.companyName, letter.jobTitle, letter.jobDescription].some((field) =>
+    field?.toLowerCase().includes(query)
+  );
 
 export default function CoverLetterList({ coverLetters }) {
   const router = useRouter();
+  // "active" hides archived letters
+  const [statusFilter, setStatusFilter] = useState("active");
+  const [sort, setSort] = useState("newest");
+  const [search, setSearch] = useState("");
 
   const handleDelete = async (id) => {
     try {
@@ -51,9 +96,63 @@ export default function CoverLetterList({ coverLetters }) {
     );
   }
 
+  const query = search.trim().toLowerCase();
+  const visibleLetters = coverLetters
+    .filter((letter) =>
+      statusFilter === "active"
+        ? letter.status !== "archived"
+        : statusFilter === "all" || letter.status === statusFilter
+    )
+    .filter((letter) => !query || matches(letter, query))
+    .sort(SORTS[sort].compare);
+
   return (
     <div className="space-y-4">
-      {coverLetters.map((letter) => (
+      <div className="flex flex-col md:flex-row gap-2">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+          <Input
+            placeholder="Search by company, job title or description"
+            className="pl-9"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+        <Select value={statusFilter} onValueChange={setStatusFilter}>
+          <SelectTrigger className="md:w-48">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="active">All but archived</SelectItem>
+            <SelectItem value="all">All statuses</SelectItem>
+            {COVER_LETTER_STATUSES.map((status) => (
+              <SelectItem key={status.value} value={status.value}>
+                {status.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={sort} onValueChange={setSort}>
+          <SelectTrigger className="md:w-52">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(SORTS).map(([value, { label }]) => (
+              <SelectItem key={value} value={value}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {!visibleLetters.length && (
+        <p className="text-sm text-muted-foreground">
+          No cover letters match these filters.
+        </p>
+      )}
+
+      {visibleLetters.map((letter) => (
         <Card key={letter.id} className="group relative ">
           <CardHeader>
             <div className="flex items-start justify-between">
@@ -61,8 +160,17 @@ export default function CoverLetterList({ coverLetters }) {
                 <CardTitle className="text-xl gradient-title">
                   {letter.jobTitle} at {letter.companyName}
                 </CardTitle>
-                <CardDescription>
-                  Created {format(new Date(letter.createdAt), "PPP")}
+                <CardDescription className="flex flex-wrap items-center gap-2">
+                  <StatusMenu coverLetter={letter} />
+                  <span>
+                    Created {format(new Date(letter.createdAt), "PPP")}
+                    {letter.status !== "draft" &&
+                      statusChangedAt(letter) &&
+                      ` · ${getStatus(letter.status).label} ${format(
+                        new Date(statusChangedAt(letter)),
+                        "PPP"
+                      )}`}
+                  </span>
                 </CardDescription>
               </div>
               <div className="flex space-x-2">
@@ -0,0 +1,157 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { GitCompare, History, Loader2, RotateCcw } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  getCoverLetterRevisions,
+  restoreCoverLetterRevision,
+} from "@/actions/cover-letter";
+import useFetch from "@/hooks/use-fetch";
+import DiffView from "@/components/diff-view";
+import { cn } from "@/lib/utils";
+
+const SOURCE_LABELS = {
+  generated: "Generated",
+  edited: "Edited",
+  ai: "AI revision",
+  restored: "Restored",
+};
+
+export default function RevisionHistory({
+  coverLetterId,
+  currentContent,
+  lastChangedAt,
+  onRestore,
+}) {
+  const [compareRevision, setCompareRevision] = useState(null);
+
+  const {
+    loading: loadingRevisions,
+    fn: fetchRevisions,
+    data: revisions,
+  } = useFetch(getCoverLetterRevisions);
+
+  const {
+    loading: isRestoring,
+    fn: restoreRevisionFn,
+    data: restoredLetter,
+  } = useFetch(restoreCoverLetterRevision);
+
+  // Reload after every save, revision and regeneration
+  useEffect(() => {
+    fetchRevisions(coverLetterId);
+  }, [coverLetterId, lastChangedAt]);
+
+  useEffect(() => {
+    if (restoredLetter && !isRestoring) {
+      toast.success("Revision restored!");
+      onRestore(restoredLetter);
+      setCompareRevision(null);
+    }
+  }, [restoredLetter, isRestoring]);
+
+  if (loadingRevisions && !revisions) {
+    return <Loader2 className="h-4 w-4 animate-spin" />;
+  }
+
+  if (revisions && !revisions.length) {
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle>No Revisions Yet</CardTitle>
+          <CardDescription>
+            Every save and AI revision is added here
+          </CardDescription>
+        </CardHeader>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        {revisions?.map((revision, i) => (
+          <div
+            key={revision.id}
+            className={cn(
+              "flex items-center justify-between gap-2 border rounded-lg p-3",
+              compareRevision?.id === revision.id && "bg-muted/50"
+            )}
+          >
+            <div className="flex items-center gap-2">
+              <History className="h-4 w-4 text-muted-foreground" />
+              <div>
+                <p className="text-sm font-medium flex items-center gap-2">
+                  <Badge variant="outline">
+                    {SOURCE_LABELS[revision.source] ?? revision.source}
+                  </Badge>
+                  {revision.instruction}
+                  {i === 0 && (
+                    <span className="text-muted-foreground">(latest)</span>
+                  )}
+                </p>
+                <p className="text-xs text-muted-foreground">
+                  {format(new Date(revision.createdAt), "PPp")}
+                </p>
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() =>
+                  setCompareRevision(
+                    compareRevision?.id === revision.id ? null : revision
+                  )
+                }
+              >
+                <GitCompare className="h-4 w-4" />
+                Compare
+              </Button>
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => restoreRevisionFn(revision.id)}
+                disabled={isRestoring}
+              >
+                <RotateCcw className="h-4 w-4" />
+                Restore
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {compareRevision && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">
+              {SOURCE_LABELS[compareRevision.source]} vs. current editor
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <DiffView
+              oldText={compareRevision.content}
+              newText={currentContent}
+              oldLabel={format(new Date(compareRevision.createdAt), "PPp")}
+              newLabel="Current"
+            />
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+"use client";
+
+import { useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { ChevronDown, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import { Badge } from "@/components/ui/badge";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { updateCoverLetterStatus } from "@/actions/cover-letter";
+import useFetch from "@/hooks/use-fetch";
+import { getStatus, nextStatuses } from "@/lib/cover-letter-status";
+import { cn } from "@/lib/utils";
+
+export function StatusBadge({ status, className, children }) {
+  const { label, color } = getStatus(status);
+  return (
+    <Badge variant="outline" className={cn("border-0", color, className)}>
+      {label}
+      {children}
+    </Badge>
+  );
+}
+
+// "Draft Mar 1, 2025 → Ready Mar 2, 2025 → Sent Mar 3, 2025"
+export function StatusTimeline({ history }) {
+  if (!history?.length) return null;
+
+  return (
+    <p className="text-xs text-muted-foreground">
+      {history
+        .map(
+          (entry) =>
+            `${getStatus(entry.status).label} ${format(
+              new Date(entry.at),
+              "PP"
+            )}`
+        )
+        .join(" → ")}
+    </p>
+  );
+}
+
+// Status badge that opens the allowed next statuses
+export default function StatusMenu({ coverLetter }) {
+  const router = useRouter();
+
+  const {
+    loading: isUpdating,
+    fn: updateStatusFn,
+    data: updatedLetter,
+  } = useFetch(updateCoverLetterStatus);
+
+  useEffect(() => {
+    if (updatedLetter && !isUpdating) {
+      toast.success(`Marked as ${getStatus(updatedLetter.status).label}`);
+      router.refresh();
+    }
+  }, [updatedLetter, isUpdating]);
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger disabled={isUpdating} className="flex items-center">
+        <StatusBadge status={coverLetter.status} className="gap-1">
+          {isUpdating ? (
+            <Loader2 className="h-3 w-3 animate-spin" />
+          ) : (
+            <ChevronDown className="h-3 w-3" />
+          )}
+        </StatusBadge>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="start">
+        <DropdownMenuLabel>Mark as</DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {nextStatuses(coverLetter.status).map((status) => (
+          <DropdownMenuItem
+            key={status.value}
+            onClick={() => updateStatusFn(coverLetter.id, status.value)}
+          >
+            {status.label}
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
@@ -0,0 +1,51 @@
+"use client";
+
+import Link from "next/link";
+import { Label } from "@/components/ui/label";
+
+// Picks stories from the interview story bank for the letter to draw on
+export default function StoryPicker({ stories, selected, onSelectedChange }) {
+  const toggle = (id) =>
+    onSelectedChange(
+      selected.includes(id)
+        ? selected.filter((item) => item !== id)
+        : [...selected, id]
+    );
+
+  if (!stories.length) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        Stories from your{" "}
+        <Link href="/interview/stories" className="underline">
+          story bank
+        </Link>{" "}
+        can be featured in your cover letters.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <Label>Stories to Feature ({selected.length} selected)</Label>
+      {stories.map((story) => (
+        <label
+          key={story.id}
+          className="flex items-start gap-2 border rounded-lg p-3 text-sm"
+        >
+          <input
+            type="checkbox"
+            className="mt-1"
+            checked={selected.includes(story.id)}
+            onChange={() => toggle(story.id)}
+          />
+          <span>
+            <span className="block font-medium">{story.title}</span>
+            <span className="text-muted-foreground">
+              {story.competencies.join(", ")}
+            </span>
+          </span>
+        </label>
+      ))}
+    </div>
+  );
+}
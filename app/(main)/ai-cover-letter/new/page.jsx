@@ -1,9 +1,13 @@
 import Link from "next/link";
 import { ArrowLeft } from "lucide-react";
 import { Button } from "@/components/ui/button";
+import { getResumes } from "@/actions/resume";
+import { getStories } from "@/actions/story";
 import CoverLetterGenerator from "../_components/cover-letter-generator";
 
-export default function NewCoverLetterPage() {
+export default async function NewCoverLetterPage() {
+  const [resumes, stories] = await Promise.all([getResumes(), getStories()]);
+
   return (
     <div className="container mx-auto py-6">
       <div className="flex flex-col space-y-2">
@@ -24,7 +28,7 @@ export default function NewCoverLetterPage() {
         </div>
       </div>
 
-      <CoverLetterGenerator />
+      <CoverLetterGenerator resumes={resumes} stories={stories} />
     </div>
   );
 }
@@ -0,0 +1,184 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { Plus } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { deleteApplication, moveApplication } from "@/actions/application";
+import { APPLICATION_STAGES } from "@/lib/application-stages";
+import { cn } from "@/lib/utils";
+import ApplicationCard from "./application-card";
+import ApplicationDialog from "./application-dialog";
+
+// Pipeline board with one column per stage. Cards are moved by dragging them
+// onto a column or from their menu.
+export default function ApplicationBoard({
+  applications: initialApplications,
+  resumes,
+  coverLetters,
+}) {
+  const router = useRouter();
+  const [applications, setApplications] = useState(initialApplications);
+  const [dialog, setDialog] = useState({ open: false });
+  const [deleting, setDeleting] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  useEffect(() => {
+    setApplications(initialApplications);
+  }, [initialApplications]);
+
+  const handleMove = async (id, stage) => {
+    const previous = applications;
+    const application = previous.find((item) => item.id === id);
+    if (!application || application.stage === stage) return;
+
+    setApplications((items) =>
+      items.map((item) => (item.id === id ? { ...item, stage } : item))
+    );
+
+    try {
+      const moved = await moveApplication(id, stage);
+      setApplications((items) =>
+        items.map((item) => (item.id === id ? moved : item))
+      );
+    } catch (error) {
+      setApplications(previous);
+      toast.error(error.message || "Failed to move application");
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteApplication(id);
+      toast.success("Application deleted successfully!");
+      router.refresh();
+    } catch (error) {
+      toast.error(error.message || "Failed to delete application");
+    }
+  };
+
+  const handleDrop = (e, stage) => {
+    e.preventDefault();
+    setDropTarget(null);
+    handleMove(e.dataTransfer.getData("text/plain"), stage);
+  };
+
+  return (
+    <>
+      <div className="flex justify-end mb-4">
+        <Button onClick={() => setDialog({ open: true })}>
+          <Plus className="h-4 w-4 mr-2" />
+          Add Application
+        </Button>
+      </div>
+
+      <div className="flex gap-4 overflow-x-auto pb-4">
+        {APPLICATION_STAGES.map((stage) => {
+          const items = applications.filter(
+            (item) => item.stage === stage.value
+          );
+
+          return (
+            <div
+              key={stage.value}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDropTarget(stage.value);
+              }}
+              onDragLeave={() => setDropTarget(null)}
+              onDrop={(e) => handleDrop(e, stage.value)}
+              className={cn(
+                "flex-shrink-0 w-72 rounded-lg bg-muted/50 p-3 space-y-3 border-2 border-transparent",
+                dropTarget === stage.value && "border-primary"
+              )}
+            >
+              <div className="flex items-center justify-between">
+                <span
+                  className={cn(
+                    "rounded-md px-2 py-0.5 text-sm font-semibold",
+                    stage.color
+                  )}
+                >
+                  {stage.label}
+                </span>
+                <span className="text-sm text-muted-foreground">
+                  {items.length}
+                </span>
+              </div>
+
+              {items.map((application) => (
+                <ApplicationCard
+                  key={application.id}
+                  application={application}
+                  onMove={handleMove}
+                  onEdit={(item) =>
+                    setDialog({ open: true, application: item })
+                  }
+                  onDelete={setDeleting}
+                />
+              ))}
+
+              <Button
+                variant="ghost"
+                size="sm"
+                className="w-full text-muted-foreground"
+                onClick={() =>
+                  setDialog({ open: true, defaultStage: stage.value })
+                }
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add
+              </Button>
+            </div>
+          );
+        })}
+      </div>
+
+      <ApplicationDialog
+        open={dialog.open}
+        onOpenChange={(open) => setDialog((state) => ({ ...state, open }))}
+        application={dialog.application}
+        defaultStage={dialog.defaultStage}
+        resumes={resumes}
+        coverLetters={coverLetters}
+        onSaved={() => router.refresh()}
+      />
+
+      <AlertDialog
+        open={!!deleting}
+        onOpenChange={(open) => !open && setDeleting(null)}
+      >
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete Application?</AlertDialogTitle>
+            <AlertDialogDescription>
+              This action cannot be undone. The application for{" "}
+              {deleting?.jobTitle} at {deleting?.companyName} will be removed
+              from your board. Its resume and cover letter are kept.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => handleDelete(deleting.id)}
+              className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+            >
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  );
+}
@@ -0,0 +1,172 @@
+"use client";
+
+import Link from "next/link";
+import { format } from "date-fns";
+import {
+  ExternalLink,
+  FileText,
+  GraduationCap,
+  MessagesSquare,
+  MoreHorizontal,
+  PenBox,
+} from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { APPLICATION_STAGES, INTERVIEW_STAGES } from "@/lib/application-stages";
+
+export default function ApplicationCard({
+  application,
+  onMove,
+  onEdit,
+  onDelete,
+}) {
+  const { resume, resumeVersion, coverLetter, interviewSessions } = application;
+
+  return (
+    <Card
+      draggable
+      onDragStart={(e) => e.dataTransfer.setData("text/plain", application.id)}
+      className="cursor-grab active:cursor-grabbing"
+    >
+      <CardHeader className="p-4 pb-2">
+        <div className="flex items-start justify-between gap-2">
+          <div className="min-w-0">
+            <CardTitle className="text-base leading-tight">
+              {application.jobTitle}
+            </CardTitle>
+            <p className="text-sm text-muted-foreground truncate">
+              {application.companyName}
+            </p>
+          </div>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="ghost" size="icon" className="h-7 w-7 shrink-0">
+                <MoreHorizontal className="h-4 w-4" />
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuItem onClick={() => onEdit(application)}>
+                Edit
+              </DropdownMenuItem>
+              <DropdownMenuItem
+                onClick={() => onDelete(application)}
+                className="text-red-500"
+              >
+                Delete
+              </DropdownMenuItem>
+              <DropdownMenuSeparator />
+              <DropdownMenuLabel>Move to</DropdownMenuLabel>
+              {APPLICATION_STAGES.filter(
+                (stage) => stage.value !== application.stage
+              ).map((stage) => (
+                <DropdownMenuItem
+                  key={stage.value}
+                  onClick={() => onMove(application.id, stage.value)}
+                >
+                  {stage.label}
+                </DropdownMenuItem>
+              ))}
+            </DropdownMenuContent>
+          </DropdownMenu>
+        </div>
+      </CardHeader>
+      <CardContent className="p-4 pt-0 space-y-2 text-sm">
+        {(resume || coverLetter || application.jobUrl) && (
+          <div className="space-y-1">
+            {resume && (
+              <Link
+                href={`/resume/${resume.id}`}
+                className="flex items-center gap-1 hover:underline"
+              >
+                <FileText className="h-3 w-3 shrink-0" />
+                <span className="truncate">
+                  {resume.title}
+                  {resumeVersion &&
+                    ` (version of ${format(
+                      new Date(resumeVersion.createdAt),
+                      "PP"
+                    )})`}
+                </span>
+              </Link>
+            )}
+            {coverLetter && (
+              <Link
+                href={`/ai-cover-letter/${coverLetter.id}`}
+                className="flex items-center gap-1 hover:underline"
+              >
+                <PenBox className="h-3 w-3" />
+                <span className="truncate">Cover letter</span>
+              </Link>
+            )}
+            {application.jobUrl && (
+              <a
+                href={application.jobUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center gap-1 hover:underline"
+              >
+                <ExternalLink className="h-3 w-3" />
+                <span className="truncate">Job posting</span>
+              </a>
+            )}
+          </div>
+        )}
+
+        {application.notes && (
+          <p className="text-muted-foreground line-clamp-3 whitespace-pre-wrap">
+            {application.notes}
+          </p>
+        )}
+
+        {interviewSessions.length > 0 && (
+          <div className="space-y-1">
+            {interviewSessions.map((session) => (
+              <Link
+                key={session.id}
+                href={`/interview/sessions/${session.id}`}
+                className="flex items-center gap-1 hover:underline"
+              >
+                <MessagesSquare className="h-3 w-3" />
+                <span className="truncate">
+                  {session.category} interview ·{" "}
+                  {session.report
+                    ? `${session.report.score.toFixed(0)}%`
+                    : "In progress"}
+                </span>
+              </Link>
+            ))}
+          </div>
+        )}
+
+        {INTERVIEW_STAGES.includes(application.stage) && (
+          <Link
+            href={`/interview/sessions/new?${new URLSearchParams({
+              jobTitle: application.jobTitle,
+              companyName: application.companyName,
+              applicationId: application.id,
+              ...(application.resumeId && { resumeId: application.resumeId }),
+            })}`}
+            className="flex items-center gap-1 text-primary hover:underline"
+          >
+            <GraduationCap className="h-3 w-3" />
+            Practice for this interview
+          </Link>
+        )}
+
+        <p className="text-xs text-muted-foreground">
+          {application.appliedAt
+            ? `Applied ${format(new Date(application.appliedAt), "PP")}`
+            : `Saved ${format(new Date(application.createdAt), "PP")}`}
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
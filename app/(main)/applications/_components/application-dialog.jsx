@@ -0,0 +1,292 @@
+"use client";
+
+import { useEffect } from "react";
+import { Controller, useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { createApplication, updateApplication } from "@/actions/application";
+import useFetch from "@/hooks/use-fetch";
+import { applicationSchema } from "@/app/lib/schema";
+import { APPLICATION_STAGES } from "@/lib/application-stages";
+
+const formValues = (application, stage) => ({
+  companyName: application?.companyName ?? "",
+  jobTitle: application?.jobTitle ?? "",
+  jobDescription: application?.jobDescription ?? "",
+  jobUrl: application?.jobUrl ?? "",
+  stage: application?.stage ?? stage,
+  resumeId: application?.resumeId ?? undefined,
+  coverLetterId: application?.coverLetterId ?? undefined,
+  notes: application?.notes ?? "",
+});
+
+// Creates an application, or edits `application` when given
+export default function ApplicationDialog({
+  open,
+  onOpenChange,
+  application,
+  defaultStage = "saved",
+  resumes,
+  coverLetters,
+  onSaved,
+}) {
+  const {
+    register,
+    control,
+    handleSubmit,
+    formState: { errors },
+    reset,
+    getValues,
+    setValue,
+  } = useForm({
+    resolver: zodResolver(applicationSchema),
+    defaultValues: formValues(application, defaultStage),
+  });
+
+  const {
+    loading: isCreating,
+    fn: createApplicationFn,
+    data: createdApplication,
+    setData: setCreatedApplication,
+  } = useFetch(createApplication);
+
+  const {
+    loading: isUpdating,
+    fn: updateApplicationFn,
+    data: updatedApplication,
+    setData: setUpdatedApplication,
+  } = useFetch(updateApplication);
+
+  useEffect(() => {
+    if (open) reset(formValues(application, defaultStage));
+  }, [open, application, defaultStage]);
+
+  useEffect(() => {
+    const saved = createdApplication ?? updatedApplication;
+    if (saved && !isCreating && !isUpdating) {
+      toast.success(
+        createdApplication ? "Application added!" : "Application updated!"
+      );
+      setCreatedApplication(undefined);
+      setUpdatedApplication(undefined);
+      onSaved?.(saved);
+      onOpenChange(false);
+    }
+  }, [createdApplication, updatedApplication, isCreating, isUpdating]);
+
+  // Picking a cover letter fills in the job it was written for
+  const handleCoverLetterChange = (id, onChange) => {
+    onChange(id === "none" ? undefined : id);
+
+    const letter = coverLetters.find((item) => item.id === id);
+    if (!letter) return;
+    for (const field of ["companyName", "jobTitle", "jobDescription"]) {
+      if (!getValues(field) && letter[field]) setValue(field, letter[field]);
+    }
+  };
+
+  const onSubmit = (values) =>
+    application
+      ? updateApplicationFn(application.id, values)
+      : createApplicationFn(values);
+
+  const isSaving = isCreating || isUpdating;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>
+            {application ? "Edit Application" : "Add Application"}
+          </DialogTitle>
+          <DialogDescription>
+            Link the resume and cover letter you sent so you know what each
+            company has seen
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="companyName">Company Name</Label>
+              <Input
+                id="companyName"
+                placeholder="Enter company name"
+                {...register("companyName")}
+              />
+              {errors.companyName && (
+                <p className="text-sm text-red-500">
+                  {errors.companyName.message}
+                </p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="jobTitle">Job Title</Label>
+              <Input
+                id="jobTitle"
+                placeholder="Enter job title"
+                {...register("jobTitle")}
+              />
+              {errors.jobTitle && (
+                <p className="text-sm text-red-500">
+                  {errors.jobTitle.message}
+                </p>
+              )}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="jobUrl">Job Posting URL</Label>
+              <Input
+                id="jobUrl"
+                type="url"
+                placeholder="https://"
+                {...register("jobUrl")}
+              />
+              {errors.jobUrl && (
+                <p className="text-sm text-red-500">{errors.jobUrl.message}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="stage">Stage</Label>
+              <Controller
+                name="stage"
+                control={control}
+                render={({ field }) => (
+                  <Select value={field.value} onValueChange={field.onChange}>
+                    <SelectTrigger id="stage">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {APPLICATION_STAGES.map((stage) => (
+                        <SelectItem key={stage.value} value={stage.value}>
+                          {stage.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="resumeId">Resume</Label>
+              <Controller
+                name="resumeId"
+                control={control}
+                render={({ field }) => (
+                  <Select
+                    value={field.value ?? "none"}
+                    onValueChange={(value) =>
+                      field.onChange(value === "none" ? undefined : value)
+                    }
+                  >
+                    <SelectTrigger id="resumeId">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">None</SelectItem>
+                      {resumes.map((resume) => (
+                        <SelectItem key={resume.id} value={resume.id}>
+                          {resume.title}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="coverLetterId">Cover Letter</Label>
+              <Controller
+                name="coverLetterId"
+                control={control}
+                render={({ field }) => (
+                  <Select
+                    value={field.value ?? "none"}
+                    onValueChange={(value) =>
+                      handleCoverLetterChange(value, field.onChange)
+                    }
+                  >
+                    <SelectTrigger id="coverLetterId">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">None</SelectItem>
+                      {coverLetters.map((letter) => (
+                        <SelectItem key={letter.id} value={letter.id}>
+                          {letter.jobTitle} at {letter.companyName}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="jobDescription">Job Description</Label>
+            <Textarea
+              id="jobDescription"
+              placeholder="Paste the job description here"
+              className="h-32"
+              {...register("jobDescription")}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="notes">Notes</Label>
+            <Textarea
+              id="notes"
+              placeholder="Recruiter contact, interview dates, follow-ups..."
+              className="h-24"
+              {...register("notes")}
+            />
+          </div>
+
+          <DialogFooter>
+            <Button type="submit" disabled={isSaving}>
+              {isSaving ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Saving...
+                </>
+              ) : application ? (
+                "Save Changes"
+              ) : (
+                "Add Application"
+              )}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
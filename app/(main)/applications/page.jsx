@@ -0,0 +1,29 @@
+import { getApplications } from "@/actions/application";
+import { getCoverLetters } from "@/actions/cover-letter";
+import { getResumes } from "@/actions/resume";
+import ApplicationBoard from "./_components/application-board";
+
+export default async function ApplicationsPage() {
+  const [applications, resumes, coverLetters] = await Promise.all([
+    getApplications(),
+    getResumes(),
+    getCoverLetters(),
+  ]);
+
+  return (
+    <div>
+      <div className="mb-5">
+        <h1 className="text-6xl font-bold gradient-title">Job Applications</h1>
+        <p className="text-muted-foreground">
+          Track every application from saved to offer
+        </p>
+      </div>
+
+      <ApplicationBoard
+        applications={applications}
+        resumes={resumes}
+        coverLetters={coverLetters}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import { Progress } from "@/components/ui/progress";
+import { RUBRIC_CRITERIA, RUBRIC_MAX_SCORE } from "@/lib/interview-options";
+
+// Rubric scores, feedback and model answer for a written answer
+export default function AnswerEvaluation({
+  score,
+  scores,
+  feedback,
+  modelAnswer,
+}) {
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex items-center justify-between font-medium">
+        <span>Overall</span>
+        <span>{score.toFixed(0)}%</span>
+      </div>
+      <div className="grid gap-2 md:grid-cols-2">
+        {RUBRIC_CRITERIA.map((criterion) => (
+          <div key={criterion.key} className="space-y-1">
+            <div className="flex justify-between">
+              <span title={criterion.description}>{criterion.label}</span>
+              <span className="text-muted-foreground">
+                {scores[criterion.key]}/{RUBRIC_MAX_SCORE}
+              </span>
+            </div>
+            <Progress
+              value={(scores[criterion.key] / RUBRIC_MAX_SCORE) * 100}
+            />
+          </div>
+        ))}
+      </div>
+      <div>
+        <p className="font-medium">Feedback:</p>
+        <p className="text-muted-foreground">{feedback}</p>
+      </div>
+      <div>
+        <p className="font-medium">Model answer:</p>
+        <p className="text-muted-foreground whitespace-pre-wrap">
+          {modelAnswer}
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import { CheckCircle2, TrendingUp } from "lucide-react";
+import { Progress } from "@/components/ui/progress";
+
+// End-of-interview report from a chat mock interview
+export default function InterviewReport({ report }) {
+  return (
+    <div className="space-y-4">
+      <div className="text-center space-y-2">
+        <h3 className="text-2xl font-bold">{report.score.toFixed(1)}%</h3>
+        <Progress value={report.score} className="w-full" />
+      </div>
+
+      <p className="text-muted-foreground">{report.summary}</p>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <div className="space-y-2">
+          <p className="font-medium">Strengths</p>
+          <ul className="space-y-1 text-sm">
+            {report.strengths.map((strength) => (
+              <li key={strength} className="flex items-start gap-2">
+                <CheckCircle2 className="h-4 w-4 text-green-500 flex-shrink-0 mt-0.5" />
+                {strength}
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div className="space-y-2">
+          <p className="font-medium">To Work On</p>
+          <ul className="space-y-1 text-sm">
+            {report.weaknesses.map((weakness) => (
+              <li key={weakness} className="flex items-start gap-2">
+                <TrendingUp className="h-4 w-4 text-yellow-500 flex-shrink-0 mt-0.5" />
+                {weakness}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
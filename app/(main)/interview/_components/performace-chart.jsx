@@ -7,6 +7,7 @@ import {
   YAxis,
   CartesianGrid,
   Tooltip,
+  Legend,
   ResponsiveContainer,
 } from "recharts";
 import {
@@ -18,27 +19,37 @@ import {
 } from "@/components/ui/card";
 import { useEffect, useState } from "react";
 import { format } from "date-fns";
+import { getCategory } from "@/lib/interview-options";
 
 export default function PerformanceChart({ assessments }) {
   const [chartData, setChartData] = useState([]);
 
   useEffect(() => {
     if (assessments) {
+      // One point per assessment, keyed by its category so each category
+      // gets its own line
       const formattedData = assessments.map((assessment) => ({
         date: format(new Date(assessment.createdAt), "MMM dd"),
-        score: assessment.quizScore,
+        category: assessment.category,
+        [assessment.category]: assessment.quizScore,
       }));
       setChartData(formattedData);
     }
   }, [assessments]);
 
+  const categories = [
+    ...new Set((assessments ?? []).map((assessment) => assessment.category)),
+  ];
+
   return (
     <Card>
       <CardHeader>
         <CardTitle className="gradient-title text-3xl md:text-4xl">
           Performance Trend
         </CardTitle>
-        <CardDescription>Your quiz scores over time</CardDescription>
+        <CardDescription>
+          Your quiz scores over time, by category
+        </CardDescription>
       </CardHeader>
       <CardContent>
         <div className="h-[300px]">
@@ -56,6 +67,7 @@ export default function PerformanceChart({ assessments }) {
                           Score: {payload[0].value}%
                         </p>
                         <p className="text-xs text-muted-foreground">
+                          {payload[0].payload.category} ·{" "}
                           {payload[0].payload.date}
                         </p>
                       </div>
@@ -64,12 +76,18 @@ export default function PerformanceChart({ assessments }) {
                   return null;
                 }}
               />
-              <Line
-                type="monotone"
-                dataKey="score"
-                stroke="hsl(var(--primary))"
-                strokeWidth={2}
-              />
+              <Legend />
+              {categories.map((category) => (
+                <Line
+                  key={category}
+                  type="monotone"
+                  dataKey={category}
+                  name={getCategory(category).label}
+                  stroke={getCategory(category).color}
+                  strokeWidth={2}
+                  connectNulls
+                />
+              ))}
             </LineChart>
           </ResponsiveContainer>
         </div>
@@ -1,8 +1,10 @@
 "use client";
 
 import { useState } from "react";
-import { format } from "date-fns";
+import { format, formatDistanceToNow } from "date-fns";
 import { useRouter } from "next/navigation";
+import { toast } from "sonner";
+import { Play, Trash2 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import {
   Card,
@@ -17,12 +19,25 @@ import {
   DialogHeader,
   DialogTitle,
 } from "@/components/ui/dialog";
+import { Progress } from "@/components/ui/progress";
+import { discardQuiz } from "@/actions/interview";
+import { getDifficulty } from "@/lib/interview-options";
 import QuizResult from "./quiz-result";
 
-export default function QuizList({ assessments }) {
+export default function QuizList({ assessments, unfinishedQuizzes = [] }) {
   const router = useRouter();
   const [selectedQuiz, setSelectedQuiz] = useState(null);
 
+  const handleDiscard = async (id) => {
+    try {
+      await discardQuiz(id);
+      toast.success("Quiz discarded");
+      router.refresh();
+    } catch (error) {
+      toast.error(error.message || "Failed to discard quiz");
+    }
+  };
+
   return (
     <>
       <Card>
@@ -43,6 +58,51 @@ export default function QuizList({ assessments }) {
         </CardHeader>
         <CardContent>
           <div className="space-y-4">
+            {unfinishedQuizzes.map((quiz) => (
+              <Card key={quiz.id} className="border-dashed">
+                <CardHeader>
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="space-y-1">
+                      <CardTitle className="text-xl">
+                        Unfinished: {quiz.category}
+                        {quiz.mode === "open_ended" && " (Written)"}
+                        {` (${getDifficulty(quiz.difficulty).label})`}
+                        {quiz.timed && " (Timed)"}
+                      </CardTitle>
+                      <CardDescription>
+                        {quiz.answered} of {quiz.total} answered · started{" "}
+                        {formatDistanceToNow(new Date(quiz.createdAt), {
+                          addSuffix: true,
+                        })}{" "}
+                        · expires{" "}
+                        {formatDistanceToNow(new Date(quiz.expiresAt), {
+                          addSuffix: true,
+                        })}
+                      </CardDescription>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button
+                        size="sm"
+                        onClick={() =>
+                          router.push(`/interview/mock?quiz=${quiz.id}`)
+                        }
+                      >
+                        <Play className="h-4 w-4" />
+                        Resume
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="icon"
+                        onClick={() => handleDiscard(quiz.id)}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </div>
+                  <Progress value={(quiz.answered / quiz.total) * 100} />
+                </CardHeader>
+              </Card>
+            ))}
             {assessments?.map((assessment, i) => (
               <Card
                 key={assessment.id}
@@ -51,7 +111,14 @@ export default function QuizList({ assessments }) {
               >
                 <CardHeader>
                   <CardTitle className="gradient-title text-2xl">
-                    Quiz {i + 1}
+                    {assessment.mode === "conversation" ? "Interview" : "Quiz"}{" "}
+                    {i + 1}: {assessment.category}
+                    {assessment.mode === "open_ended" && " (Written)"}
+                    {assessment.interviewSession &&
+                      ` (${assessment.interviewSession.jobTitle})`}
+                    {assessment.difficulty &&
+                      ` (${getDifficulty(assessment.difficulty).label})`}
+                    {assessment.timeLimit && " (Timed)"}
                   </CardTitle>
                   <CardDescription className="flex justify-between w-full">
                     <div>Score: {assessment.quizScore.toFixed(1)}%</div>
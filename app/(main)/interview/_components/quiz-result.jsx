@@ -1,9 +1,13 @@
 "use client";
 
-import { Trophy, CheckCircle2, XCircle } from "lucide-react";
+import { Trophy, CheckCircle2, Timer, XCircle } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { CardContent, CardFooter } from "@/components/ui/card";
 import { Progress } from "@/components/ui/progress";
+import AnswerEvaluation from "./answer-evaluation";
+import InterviewReport from "./interview-report";
+import { formatSeconds } from "@/lib/interview-options";
+import { getAverageTime } from "@/lib/interview-stats";
 
 export default function QuizResult({
   result,
@@ -12,19 +16,38 @@ export default function QuizResult({
 }) {
   if (!result) return null;
 
+  const conversation = result.mode === "conversation";
+  // Missing if the interview session has been deleted
+  const report = result.interviewSession?.report;
+  const averageTime = getAverageTime(result.questions);
+
   return (
     <div className="mx-auto">
       <h1 className="flex items-center gap-2 text-3xl gradient-title">
         <Trophy className="h-6 w-6 text-yellow-500" />
-        Quiz Results
+        {conversation ? "Interview Report" : "Quiz Results"}
       </h1>
 
       <CardContent className="space-y-6">
         {/* Score Overview */}
-        <div className="text-center space-y-2">
-          <h3 className="text-2xl font-bold">{result.quizScore.toFixed(1)}%</h3>
-          <Progress value={result.quizScore} className="w-full" />
-        </div>
+        {report ? (
+          <InterviewReport report={report} />
+        ) : (
+          <div className="text-center space-y-2">
+            <h3 className="text-2xl font-bold">
+              {result.quizScore.toFixed(1)}%
+            </h3>
+            <Progress value={result.quizScore} className="w-full" />
+            {averageTime !== null && (
+              <p className="flex items-center justify-center gap-1 text-sm text-muted-foreground">
+                <Timer className="h-4 w-4" />
+                {formatSeconds(averageTime)} per question on average
+                {result.timeLimit &&
+                  ` · ${formatSeconds(result.timeLimit)} time limit`}
+              </p>
+            )}
+          </div>
+        )}
 
         {/* Improvement Tip */}
         {result.improvementTip && (
@@ -36,25 +59,76 @@ export default function QuizResult({
 
         {/* Questions Review */}
         <div className="space-y-4">
-          <h3 className="font-medium">Question Review</h3>
+          <h3 className="font-medium">
+            {conversation ? "Answer Review" : "Question Review"}
+          </h3>
           {result.questions.map((q, index) => (
             <div key={index} className="border rounded-lg p-4 space-y-2">
               <div className="flex items-start justify-between gap-2">
                 <p className="font-medium">{q.question}</p>
+                {q.timeSpent != null && (
+                  <span className="ml-auto text-xs text-muted-foreground tabular-nums">
+                    {formatSeconds(q.timeSpent)}
+                  </span>
+                )}
                 {q.isCorrect ? (
                   <CheckCircle2 className="h-5 w-5 text-green-500 flex-shrink-0" />
                 ) : (
                   <XCircle className="h-5 w-5 text-red-500 flex-shrink-0" />
                 )}
               </div>
-              <div className="text-sm text-muted-foreground">
-                <p>Your answer: {q.userAnswer}</p>
-                {!q.isCorrect && <p>Correct answer: {q.answer}</p>}
-              </div>
-              <div className="text-sm bg-muted p-2 rounded">
-                <p className="font-medium">Explanation:</p>
-                <p>{q.explanation}</p>
-              </div>
+              {conversation ? (
+                <>
+                  <div className="text-sm text-muted-foreground">
+                    <p className="font-medium">Your answer:</p>
+                    <p className="whitespace-pre-wrap">{q.userAnswer}</p>
+                  </div>
+                  <div className="text-sm bg-muted p-2 rounded">
+                    <p className="font-medium">
+                      Feedback ({q.score.toFixed(0)}%):
+                    </p>
+                    <p>{q.explanation}</p>
+                  </div>
+                </>
+              ) : q.scores ? (
+                <>
+                  <div className="text-sm text-muted-foreground">
+                    <p className="font-medium">Your answer:</p>
+                    <p className="whitespace-pre-wrap">{q.userAnswer}</p>
+                  </div>
+                  <div className="bg-muted p-2 rounded">
+                    <AnswerEvaluation
+                      score={q.score}
+                      scores={q.scores}
+                      feedback={q.explanation}
+                      modelAnswer={q.answer}
+                    />
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="text-sm text-muted-foreground">
+                    <p>
+                      Your answer:{" "}
+                      {q.timedOut ? "None, time ran out" : q.userAnswer}
+                    </p>
+                    {!q.isCorrect && (
+                      <p>
+                        {/* Unanswered written questions list the key points */}
+                        {q.score != null
+                          ? "Key points"
+                          : "Correct answer"}: {q.answer}
+                      </p>
+                    )}
+                  </div>
+                  {q.explanation && (
+                    <div className="text-sm bg-muted p-2 rounded">
+                      <p className="font-medium">Explanation:</p>
+                      <p>{q.explanation}</p>
+                    </div>
+                  )}
+                </>
+              )}
             </div>
           ))}
         </div>
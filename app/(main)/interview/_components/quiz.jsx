@@ -1,7 +1,10 @@
 "use client";
 
 import { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
 import { toast } from "sonner";
+import { CheckCircle2, Loader2, Target, Timer, X, XCircle } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
 import {
   Card,
@@ -12,75 +15,186 @@ import {
 } from "@/components/ui/card";
 import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
 import { Label } from "@/components/ui/label";
-import { generateQuiz, saveQuizResult } from "@/actions/interview";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  generateQuiz,
+  saveQuizResult,
+  startQuizQuestion,
+  submitQuizAnswer,
+} from "@/actions/interview";
 import QuizResult from "./quiz-result";
+import AnswerEvaluation from "./answer-evaluation";
 import useFetch from "@/hooks/use-fetch";
 import { BarLoader } from "react-spinners";
+import { cn } from "@/lib/utils";
+import {
+  DEFAULT_QUIZ_OPTIONS,
+  INTERVIEW_CATEGORIES,
+  QUIZ_DIFFICULTIES,
+  QUIZ_MODES,
+  formatSeconds,
+  getCategory,
+  getDifficulty,
+  getQuizMode,
+} from "@/lib/interview-options";
+
+// Clocks turn red when this many seconds are left
+const TIME_WARNING_SECONDS = 10;
 
-export default function Quiz() {
+export default function Quiz({ resumedQuiz, focus }) {
+  const router = useRouter();
   const [currentQuestion, setCurrentQuestion] = useState(0);
   const [answers, setAnswers] = useState([]);
-  const [showExplanation, setShowExplanation] = useState(false);
+  // Server grading of each answered question, with its explanation
+  const [results, setResults] = useState([]);
+  const [options, setOptions] = useState({
+    ...DEFAULT_QUIZ_OPTIONS,
+    ...(focus && {
+      topic: focus.topic,
+      category: getCategory(focus.category).value,
+    }),
+  });
+  const [now, setNow] = useState(() => Date.now());
 
   const {
     loading: generatingQuiz,
     fn: generateQuizFn,
     data: quizData,
+    setData: setQuizData,
   } = useFetch(generateQuiz);
 
+  const {
+    loading: startingQuestion,
+    fn: startQuizQuestionFn,
+    data: servedQuiz,
+  } = useFetch(startQuizQuestion);
+
+  const {
+    loading: submittingAnswer,
+    fn: submitQuizAnswerFn,
+    data: answerResult,
+    setData: setAnswerResult,
+    error: submitError,
+  } = useFetch(submitQuizAnswer);
+
   const {
     loading: savingResult,
     fn: saveQuizResultFn,
     data: resultData,
     setData: setResultData,
+    error: saveError,
   } = useFetch(saveQuizResult);
 
+  useEffect(() => {
+    if (resumedQuiz) setQuizData(resumedQuiz);
+  }, []);
+
   useEffect(() => {
     if (quizData) {
-      setAnswers(new Array(quizData.length).fill(null));
+      setAnswers(quizData.results.map((result) => result?.answer ?? null));
+      setResults(quizData.results);
+      // Pick up at the first unanswered question
+      const next = quizData.results.findIndex((result) => !result);
+      setCurrentQuestion(next === -1 ? quizData.results.length - 1 : next);
     }
   }, [quizData]);
 
+  // So a refresh or coming back later resumes this quiz
+  useEffect(() => {
+    if (quizData && quizData.id !== resumedQuiz?.id) {
+      router.replace(`/interview/mock?quiz=${quizData.id}`, {
+        scroll: false,
+      });
+    }
+  }, [quizData?.id]);
+
+  // The next question, with its clock started on the server
+  useEffect(() => {
+    if (servedQuiz && !startingQuestion) setQuizData(servedQuiz);
+  }, [servedQuiz, startingQuestion]);
+
+  // Timed quizzes tick once a second until they are finished
+  useEffect(() => {
+    if (!quizData?.timeLimit || resultData) return;
+
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [quizData, resultData]);
+
+  const quizTimeLeft = quizData?.endsAt
+    ? Math.max(0, Math.ceil((new Date(quizData.endsAt) - now) / 1000))
+    : null;
+  const questionTimeLeft =
+    quizData?.questionTimeLimit &&
+    quizData.currentQuestion === currentQuestion &&
+    quizData.questionStartedAt
+      ? Math.max(
+          0,
+          quizData.questionTimeLimit -
+            Math.floor((now - new Date(quizData.questionStartedAt)) / 1000)
+        )
+      : null;
+  // Set once the quiz or the current question has run out of time, until
+  // that has been submitted
+  const timeUp =
+    !resultData &&
+    (quizTimeLeft === 0 ||
+      (questionTimeLeft === 0 && !results[currentQuestion]));
+
+  // Out of time: submit the question as it stands, or finish the whole quiz
+  const handleTimeUp = () =>
+    quizTimeLeft === 0 ? saveQuizResultFn(quizData.id) : handleSubmitAnswer();
+
+  useEffect(() => {
+    if (timeUp && !savingResult && !submittingAnswer) handleTimeUp();
+  }, [quizTimeLeft, questionTimeLeft]);
+
+  useEffect(() => {
+    if (answerResult && !submittingAnswer) {
+      setResults((current) =>
+        current.map((result, index) =>
+          index === currentQuestion ? answerResult : result
+        )
+      );
+      setAnswerResult(undefined);
+    }
+  }, [answerResult, submittingAnswer]);
+
+  useEffect(() => {
+    if (resultData && !savingResult) {
+      toast.success("Quiz completed!");
+    }
+  }, [resultData, savingResult]);
+
   const handleAnswer = (answer) => {
     const newAnswers = [...answers];
     newAnswers[currentQuestion] = answer;
     setAnswers(newAnswers);
   };
 
+  const handleSubmitAnswer = () =>
+    submitQuizAnswerFn(quizData.id, currentQuestion, answers[currentQuestion]);
+
   const handleNext = () => {
-    if (currentQuestion < quizData.length - 1) {
-      setCurrentQuestion(currentQuestion + 1);
-      setShowExplanation(false);
+    if (currentQuestion < quizData.questions.length - 1) {
+      startQuizQuestionFn(quizData.id, currentQuestion + 1);
     } else {
-      finishQuiz();
-    }
-  };
-
-  const calculateScore = () => {
-    let correct = 0;
-    answers.forEach((answer, index) => {
-      if (answer === quizData[index].correctAnswer) {
-        correct++;
-      }
-    });
-    return (correct / quizData.length) * 100;
-  };
-
-  const finishQuiz = async () => {
-    const score = calculateScore();
-    try {
-      await saveQuizResultFn(quizData, answers, score);
-      toast.success("Quiz completed!");
-    } catch (error) {
-      toast.error(error.message || "Failed to save quiz results");
+      saveQuizResultFn(quizData.id);
     }
   };
 
   const startNewQuiz = () => {
     setCurrentQuestion(0);
     setAnswers([]);
-    setShowExplanation(false);
-    generateQuizFn();
+    setResults([]);
+    generateQuizFn(options);
     setResultData(null);
   };
 
@@ -103,14 +217,132 @@ export default function Quiz() {
         <CardHeader>
           <CardTitle>Ready to test your knowledge?</CardTitle>
         </CardHeader>
-        <CardContent>
+        <CardContent className="space-y-4">
           <p className="text-muted-foreground">
-            This quiz contains 10 questions specific to your industry and
-            skills. Take your time and choose the best answer for each question.
+            Questions are specific to your industry and skills. Take your time
+            and give the best answer you can.
           </p>
+          {options.topic && (
+            <div className="flex items-center justify-between gap-2 rounded-lg border p-3 text-sm">
+              <span className="flex items-center gap-2">
+                <Target className="h-4 w-4" />
+                Every question will focus on {options.topic}
+              </span>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setOptions({ ...options, topic: undefined })}
+              >
+                <X className="h-4 w-4" />
+                Clear
+              </Button>
+            </div>
+          )}
+          <div className="space-y-2">
+            <Label>Format</Label>
+            <RadioGroup
+              value={options.mode}
+              onValueChange={(mode) => setOptions({ ...options, mode })}
+              className="grid md:grid-cols-2 gap-2"
+            >
+              {QUIZ_MODES.map((mode) => (
+                <Label
+                  key={mode.value}
+                  htmlFor={`mode-${mode.value}`}
+                  className="flex items-start gap-2 border rounded-lg p-3 font-normal cursor-pointer"
+                >
+                  <RadioGroupItem
+                    value={mode.value}
+                    id={`mode-${mode.value}`}
+                    className="mt-0.5"
+                  />
+                  <span>
+                    <span className="block font-medium">{mode.label}</span>
+                    <span className="text-muted-foreground">
+                      {mode.description}
+                    </span>
+                  </span>
+                </Label>
+              ))}
+            </RadioGroup>
+          </div>
+          <div className="grid md:grid-cols-3 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="category">Category</Label>
+              <Select
+                value={options.category}
+                onValueChange={(category) =>
+                  setOptions({ ...options, category })
+                }
+              >
+                <SelectTrigger id="category">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {INTERVIEW_CATEGORIES.map((category) => (
+                    <SelectItem key={category.value} value={category.value}>
+                      {category.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-muted-foreground">
+                {getCategory(options.category).description}
+              </p>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="difficulty">Difficulty</Label>
+              <Select
+                value={options.difficulty}
+                onValueChange={(difficulty) =>
+                  setOptions({ ...options, difficulty })
+                }
+              >
+                <SelectTrigger id="difficulty">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {QUIZ_DIFFICULTIES.map((difficulty) => (
+                    <SelectItem key={difficulty.value} value={difficulty.value}>
+                      {difficulty.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {getDifficulty(options.difficulty).description && (
+                <p className="text-xs text-muted-foreground">
+                  {getDifficulty(options.difficulty).description}
+                </p>
+              )}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="timing">Timing</Label>
+              <Select
+                value={options.timed ? "timed" : "untimed"}
+                onValueChange={(timing) =>
+                  setOptions({ ...options, timed: timing === "timed" })
+                }
+              >
+                <SelectTrigger id="timing">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="untimed">Untimed</SelectItem>
+                  <SelectItem value="timed">Timed</SelectItem>
+                </SelectContent>
+              </Select>
+              {options.timed && (
+                <p className="text-xs text-muted-foreground">
+                  {formatSeconds(getQuizMode(options.mode).timeLimit)} in total,{" "}
+                  {formatSeconds(getQuizMode(options.mode).questionTimeLimit)}{" "}
+                  per question. Answers submit themselves when time runs out.
+                </p>
+              )}
+            </div>
+          </div>
         </CardContent>
         <CardFooter>
-          <Button onClick={generateQuizFn} className="w-full">
+          <Button onClick={() => generateQuizFn(options)} className="w-full">
             Start Quiz
           </Button>
         </CardFooter>
@@ -118,59 +350,171 @@ export default function Quiz() {
     );
   }
 
-  const question = quizData[currentQuestion];
+  const question = quizData.questions[currentQuestion];
+  const result = results[currentQuestion];
 
   return (
     <Card className="mx-2">
       <CardHeader>
-        <CardTitle>
-          Question {currentQuestion + 1} of {quizData.length}
-        </CardTitle>
+        <div className="flex items-start justify-between gap-4">
+          <CardTitle>
+            Question {currentQuestion + 1} of {quizData.questions.length}
+          </CardTitle>
+          {quizTimeLeft !== null && (
+            <div className="flex items-center gap-3 text-sm tabular-nums">
+              {!result && questionTimeLeft !== null && (
+                <span
+                  className={cn(
+                    "flex items-center gap-1",
+                    questionTimeLeft <= TIME_WARNING_SECONDS && "text-red-500"
+                  )}
+                >
+                  <Timer className="h-4 w-4" />
+                  {formatSeconds(questionTimeLeft)}
+                </span>
+              )}
+              <span
+                className={cn(
+                  "text-muted-foreground",
+                  quizTimeLeft <= TIME_WARNING_SECONDS && "text-red-500"
+                )}
+              >
+                {formatSeconds(quizTimeLeft)} total
+              </span>
+            </div>
+          )}
+        </div>
+        <p className="text-sm text-muted-foreground">
+          {getCategory(quizData.category).label} ·{" "}
+          {getDifficulty(quizData.difficulty).label}
+          {quizData.timeLimit && " · Timed"}
+        </p>
       </CardHeader>
       <CardContent className="space-y-4">
+        {question.topic && <Badge variant="secondary">{question.topic}</Badge>}
         <p className="text-lg font-medium">{question.question}</p>
-        <RadioGroup
-          onValueChange={handleAnswer}
-          value={answers[currentQuestion]}
-          className="space-y-2"
-        >
-          {question.options.map((option, index) => (
-            <div key={index} className="flex items-center space-x-2">
-              <RadioGroupItem value={option} id={`option-${index}`} />
-              <Label htmlFor={`option-${index}`}>{option}</Label>
-            </div>
-          ))}
-        </RadioGroup>
+        {!question.options ? (
+          <Textarea
+            placeholder="Answer as you would in the interview"
+            className="h-48"
+            value={answers[currentQuestion] ?? ""}
+            onChange={(e) => handleAnswer(e.target.value)}
+            disabled={!!result || submittingAnswer}
+          />
+        ) : (
+          <RadioGroup
+            onValueChange={handleAnswer}
+            value={answers[currentQuestion]}
+            disabled={!!result || submittingAnswer}
+            className="space-y-2"
+          >
+            {question.options.map((option, index) => (
+              <div key={index} className="flex items-center space-x-2">
+                <RadioGroupItem value={option} id={`option-${index}`} />
+                <Label
+                  htmlFor={`option-${index}`}
+                  className={cn(
+                    result?.correctAnswer === option && "text-green-500",
+                    result &&
+                      !result.isCorrect &&
+                      result.answer === option &&
+                      "text-red-500"
+                  )}
+                >
+                  {option}
+                </Label>
+              </div>
+            ))}
+          </RadioGroup>
+        )}
 
-        {showExplanation && (
+        {result?.scores && (
           <div className="mt-4 p-4 bg-muted rounded-lg">
-            <p className="font-medium">Explanation:</p>
-            <p className="text-muted-foreground">{question.explanation}</p>
+            <AnswerEvaluation {...result} />
+          </div>
+        )}
+
+        {result && !result.scores && (
+          <div className="mt-4 p-4 bg-muted rounded-lg space-y-1">
+            <p className="flex items-center gap-2 font-medium">
+              {result.isCorrect ? (
+                <>
+                  <CheckCircle2 className="h-5 w-5 text-green-500" />
+                  Correct
+                </>
+              ) : (
+                <>
+                  <XCircle className="h-5 w-5 text-red-500" />
+                  {result.timedOut ? "Time's up" : "Incorrect"}
+                  {result.correctAnswer &&
+                    `, the answer is ${result.correctAnswer}`}
+                </>
+              )}
+            </p>
+            {result.explanation && (
+              <>
+                <p className="font-medium">Explanation:</p>
+                <p className="text-muted-foreground">{result.explanation}</p>
+              </>
+            )}
           </div>
         )}
+
+        {result?.timeSpent != null && (
+          <p className="text-xs text-muted-foreground">
+            Time spent: {formatSeconds(result.timeSpent)}
+          </p>
+        )}
       </CardContent>
-      <CardFooter className="flex justify-between">
-        {!showExplanation && (
+      <CardFooter className="flex flex-col items-end gap-2">
+        {timeUp ? (
+          <>
+            {(submitError || saveError) &&
+              !submittingAnswer &&
+              !savingResult && (
+                <p className="text-sm text-red-500">
+                  Time ran out, but your answers couldn&apos;t be submitted.
+                </p>
+              )}
+            <Button
+              onClick={handleTimeUp}
+              disabled={submittingAnswer || savingResult}
+            >
+              {submittingAnswer || savingResult ? (
+                <>
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                  Submitting...
+                </>
+              ) : (
+                "Try Again"
+              )}
+            </Button>
+          </>
+        ) : !result ? (
           <Button
-            onClick={() => setShowExplanation(true)}
-            variant="outline"
-            disabled={!answers[currentQuestion]}
+            onClick={handleSubmitAnswer}
+            disabled={!answers[currentQuestion]?.trim() || submittingAnswer}
+            className="ml-auto"
           >
-            Show Explanation
+            {submittingAnswer && <Loader2 className="h-4 w-4 animate-spin" />}
+            {submittingAnswer && !question.options
+              ? "Grading..."
+              : "Submit Answer"}
+          </Button>
+        ) : (
+          <Button
+            onClick={handleNext}
+            disabled={savingResult || startingQuestion}
+            className="ml-auto"
+          >
+            {(savingResult || startingQuestion) && (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            )}
+            {currentQuestion < quizData.questions.length - 1
+              ? "Next Question"
+              : "Finish Quiz"}
           </Button>
         )}
-        <Button
-          onClick={handleNext}
-          disabled={!answers[currentQuestion] || savingResult}
-          className="ml-auto"
-        >
-          {savingResult && (
-            <BarLoader className="mt-4" width={"100%"} color="gray" />
-          )}
-          {currentQuestion < quizData.length - 1
-            ? "Next Question"
-            : "Finish Quiz"}
-        </Button>
       </CardFooter>
     </Card>
   );
@@ -0,0 +1,40 @@
+import Link from "next/link";
+import { Layers } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+
+// Today's spaced-repetition reviews of missed questions
+export default function ReviewQueue({ dueCount, deckSize }) {
+  if (!deckSize) return null;
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <div>
+          <CardTitle className="flex items-center gap-2">
+            <Layers className="h-5 w-5" />
+            Daily Review
+          </CardTitle>
+          <CardDescription>
+            {dueCount
+              ? `${dueCount} missed ${
+                  dueCount === 1 ? "question is" : "questions are"
+                } due today`
+              : "You're all caught up for today"}{" "}
+            · {deckSize} {deckSize === 1 ? "card" : "cards"} in your deck
+          </CardDescription>
+        </div>
+        {dueCount > 0 && (
+          <Link href="/interview/review">
+            <Button>Start Review</Button>
+          </Link>
+        )}
+      </CardHeader>
+    </Card>
+  );
+}
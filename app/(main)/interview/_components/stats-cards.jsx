@@ -1,5 +1,8 @@
-import { Brain, Target, Trophy } from "lucide-react";
+import { Brain, Target, Timer, Trophy } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Progress } from "@/components/ui/progress";
+import { INTERVIEW_CATEGORIES, formatSeconds } from "@/lib/interview-options";
+import { getAverageTime } from "@/lib/interview-stats";
 
 export default function StatsCards({ assessments }) {
   const getAverageScore = () => {
@@ -24,46 +27,109 @@ export default function StatsCards({ assessments }) {
     );
   };
 
+  const getCategoryStats = () =>
+    INTERVIEW_CATEGORIES.map((category) => {
+      const taken = (assessments ?? []).filter(
+        (assessment) => assessment.category === category.value
+      );
+      const total = taken.reduce(
+        (sum, assessment) => sum + assessment.quizScore,
+        0
+      );
+      return {
+        ...category,
+        count: taken.length,
+        averageScore: taken.length ? total / taken.length : 0,
+        averageTime: getAverageTime(
+          taken.flatMap((assessment) => assessment.questions)
+        ),
+      };
+    }).filter((category) => category.count > 0);
+
+  const categoryStats = getCategoryStats();
+  const averageTime = getAverageTime(
+    (assessments ?? []).flatMap((assessment) => assessment.questions)
+  );
+
   return (
-    <div className="grid gap-4 md:grid-cols-3">
-      <Card>
-        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-          <CardTitle className="text-sm font-medium">Average Score</CardTitle>
-          <Trophy className="h-4 w-4 text-muted-foreground" />
-        </CardHeader>
-        <CardContent>
-          <div className="text-2xl font-bold">{getAverageScore()}%</div>
-          <p className="text-xs text-muted-foreground">
-            Across all assessments
-          </p>
-        </CardContent>
-      </Card>
+    <div className="space-y-4">
+      <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">Average Score</CardTitle>
+            <Trophy className="h-4 w-4 text-muted-foreground" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">{getAverageScore()}%</div>
+            <p className="text-xs text-muted-foreground">
+              Across all assessments
+            </p>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">
+              Questions Practiced
+            </CardTitle>
+            <Brain className="h-4 w-4 text-muted-foreground" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">{getTotalQuestions()}</div>
+            <p className="text-xs text-muted-foreground">Total questions</p>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">Latest Score</CardTitle>
+            <Target className="h-4 w-4 text-muted-foreground" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">
+              {getLatestAssessment()?.quizScore.toFixed(1) || 0}%
+            </div>
+            <p className="text-xs text-muted-foreground">Most recent quiz</p>
+          </CardContent>
+        </Card>
 
-      <Card>
-        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-          <CardTitle className="text-sm font-medium">
-            Questions Practiced
-          </CardTitle>
-          <Brain className="h-4 w-4 text-muted-foreground" />
-        </CardHeader>
-        <CardContent>
-          <div className="text-2xl font-bold">{getTotalQuestions()}</div>
-          <p className="text-xs text-muted-foreground">Total questions</p>
-        </CardContent>
-      </Card>
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">Average Time</CardTitle>
+            <Timer className="h-4 w-4 text-muted-foreground" />
+          </CardHeader>
+          <CardContent>
+            <div className="text-2xl font-bold">
+              {averageTime !== null ? formatSeconds(averageTime) : "-"}
+            </div>
+            <p className="text-xs text-muted-foreground">Per question</p>
+          </CardContent>
+        </Card>
+      </div>
 
-      <Card>
-        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-          <CardTitle className="text-sm font-medium">Latest Score</CardTitle>
-          <Target className="h-4 w-4 text-muted-foreground" />
-        </CardHeader>
-        <CardContent>
-          <div className="text-2xl font-bold">
-            {getLatestAssessment()?.quizScore.toFixed(1) || 0}%
-          </div>
-          <p className="text-xs text-muted-foreground">Most recent quiz</p>
-        </CardContent>
-      </Card>
+      {categoryStats.length > 0 && (
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-medium">By Category</CardTitle>
+          </CardHeader>
+          <CardContent className="grid gap-4 md:grid-cols-2">
+            {categoryStats.map((category) => (
+              <div key={category.value} className="space-y-1">
+                <div className="flex justify-between text-sm">
+                  <span className="font-medium">{category.label}</span>
+                  <span className="text-muted-foreground">
+                    {category.averageScore.toFixed(1)}% avg · {category.count}{" "}
+                    {category.count === 1 ? "quiz" : "quizzes"}
+                    {category.averageTime !== null &&
+                      ` · ${formatSeconds(category.averageTime)}/question`}
+                  </span>
+                </div>
+                <Progress value={category.averageScore} />
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
     </div>
   );
 }
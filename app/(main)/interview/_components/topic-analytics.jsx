@@ -0,0 +1,165 @@
+"use client";
+
+import Link from "next/link";
+import {
+  PolarAngleAxis,
+  PolarGrid,
+  PolarRadiusAxis,
+  Radar,
+  RadarChart,
+  ResponsiveContainer,
+  Tooltip,
+} from "recharts";
+import { Target } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Progress } from "@/components/ui/progress";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import {
+  WEAK_TOPIC_ACCURACY,
+  getTopicStats,
+  getWeakTopics,
+} from "@/lib/interview-stats";
+import { cn } from "@/lib/utils";
+
+// The radar gets crowded past this many axes, so it shows the most practiced
+const RADAR_TOPICS = 8;
+const WEAKEST_TOPICS = 5;
+
+const heatColor = (accuracy) => {
+  if (accuracy < 40) return "bg-red-500/80";
+  if (accuracy < 60) return "bg-orange-500/70";
+  if (accuracy < 80) return "bg-yellow-500/60";
+  return "bg-green-500/70";
+};
+
+const practiceHref = ({ topic, category }) =>
+  `/interview/mock?${new URLSearchParams({ topic, category })}`;
+
+export default function TopicAnalytics({ assessments }) {
+  const topicStats = getTopicStats(assessments ?? []);
+  if (!topicStats.length) return null;
+
+  const radarData = [...topicStats]
+    .sort((a, b) => b.total - a.total)
+    .slice(0, RADAR_TOPICS)
+    .map((stats) => ({ ...stats, accuracy: Math.round(stats.accuracy) }));
+  const weakest = getWeakTopics(topicStats).slice(0, WEAKEST_TOPICS);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="gradient-title text-3xl md:text-4xl">
+          Topic Breakdown
+        </CardTitle>
+        <CardDescription>
+          How often you answer correctly in each topic, across all quizzes
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="grid gap-6 md:grid-cols-3">
+        <Tabs
+          defaultValue={radarData.length >= 3 ? "radar" : "heatmap"}
+          className="md:col-span-2"
+        >
+          <TabsList>
+            <TabsTrigger value="radar" disabled={radarData.length < 3}>
+              Radar
+            </TabsTrigger>
+            <TabsTrigger value="heatmap">Heatmap</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="radar">
+            <div className="h-[300px]">
+              <ResponsiveContainer width="100%" height="100%">
+                <RadarChart data={radarData}>
+                  <PolarGrid />
+                  <PolarAngleAxis dataKey="topic" tick={{ fontSize: 12 }} />
+                  <PolarRadiusAxis domain={[0, 100]} tick={false} />
+                  <Tooltip
+                    content={({ active, payload }) => {
+                      if (active && payload?.length) {
+                        const stats = payload[0].payload;
+                        return (
+                          <div className="bg-background border rounded-lg p-2 shadow-md">
+                            <p className="text-sm font-medium">
+                              {stats.topic}: {stats.accuracy}%
+                            </p>
+                            <p className="text-xs text-muted-foreground">
+                              {stats.correct}/{stats.total} correct ·{" "}
+                              {stats.category}
+                            </p>
+                          </div>
+                        );
+                      }
+                      return null;
+                    }}
+                  />
+                  <Radar
+                    dataKey="accuracy"
+                    stroke="#3b82f6"
+                    fill="#3b82f6"
+                    fillOpacity={0.4}
+                  />
+                </RadarChart>
+              </ResponsiveContainer>
+            </div>
+          </TabsContent>
+
+          <TabsContent value="heatmap">
+            <div className="grid grid-cols-2 gap-2 sm:grid-cols-3 lg:grid-cols-4">
+              {topicStats.map((stats) => (
+                <div
+                  key={stats.topic}
+                  title={`${stats.correct}/${stats.total} correct`}
+                  className={cn(
+                    "rounded-lg p-3 text-sm text-white",
+                    heatColor(stats.accuracy)
+                  )}
+                >
+                  <p className="font-medium truncate">{stats.topic}</p>
+                  <p className="text-xs">
+                    {stats.accuracy.toFixed(0)}% · {stats.total} answered
+                  </p>
+                </div>
+              ))}
+            </div>
+          </TabsContent>
+        </Tabs>
+
+        <div className="space-y-3">
+          <p className="font-medium">Weakest Topics</p>
+          {weakest.length ? (
+            weakest.map((stats) => (
+              <div key={stats.topic} className="space-y-1">
+                <div className="flex items-center justify-between gap-2 text-sm">
+                  <span className="truncate">{stats.topic}</span>
+                  <Link href={practiceHref(stats)}>
+                    <Button variant="outline" size="sm">
+                      <Target className="h-3 w-3" />
+                      Practice
+                    </Button>
+                  </Link>
+                </div>
+                <Progress value={stats.accuracy} />
+                <p className="text-xs text-muted-foreground">
+                  {stats.correct}/{stats.total} correct · {stats.category}
+                </p>
+              </div>
+            ))
+          ) : (
+            <p className="text-sm text-muted-foreground">
+              No weak spots yet. Topics you answer correctly less than{" "}
+              {WEAK_TOPIC_ACCURACY}% of the time show up here.
+            </p>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,9 +1,15 @@
 import Link from "next/link";
 import { ArrowLeft } from "lucide-react";
 import { Button } from "@/components/ui/button";
+import { getQuiz } from "@/actions/interview";
 import Quiz from "../_components/quiz";
 
-export default function MockInterviewPage() {
+export default async function MockInterviewPage({ searchParams }) {
+  // `quiz` resumes an unfinished quiz; `topic` and `category` start one
+  // targeting a weak topic
+  const { quiz: quizId, topic, category } = await searchParams;
+  const quiz = quizId ? await getQuiz(quizId) : null;
+
   return (
     <div className="container mx-auto space-y-4 py-6">
       <div className="flex flex-col space-y-2 mx-2">
@@ -22,7 +28,7 @@ export default function MockInterviewPage() {
         </div>
       </div>
 
-      <Quiz />
+      <Quiz resumedQuiz={quiz} focus={topic && { topic, category }} />
     </div>
   );
 }
@@ -1,22 +1,52 @@
-import { getAssessments } from "@/actions/interview";
+import Link from "next/link";
+import { BookOpen, MessagesSquare } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { getAssessments, getUnfinishedQuizzes } from "@/actions/interview";
+import { getReviewQueue } from "@/actions/review";
 import StatsCards from "./_components/stats-cards";
 import PerformanceChart from "./_components/performace-chart";
 import QuizList from "./_components/quiz-list";
+import ReviewQueue from "./_components/review-queue";
+import TopicAnalytics from "./_components/topic-analytics";
 
 export default async function InterviewPrepPage() {
-  const assessments = await getAssessments();
+  const [assessments, unfinishedQuizzes, { dueCount, deckSize }] =
+    await Promise.all([
+      getAssessments(),
+      getUnfinishedQuizzes(),
+      getReviewQueue(),
+    ]);
 
   return (
     <div>
-      <div className="flex items-center justify-between mb-5">
+      <div className="flex flex-col md:flex-row gap-2 items-center justify-between mb-5">
         <h1 className="text-6xl font-bold gradient-title">
           Interview Preparation
         </h1>
+        <div className="flex gap-2">
+          <Link href="/interview/sessions/new">
+            <Button>
+              <MessagesSquare className="h-4 w-4 mr-2" />
+              Live Interview
+            </Button>
+          </Link>
+          <Link href="/interview/stories">
+            <Button variant="outline">
+              <BookOpen className="h-4 w-4 mr-2" />
+              Story Bank
+            </Button>
+          </Link>
+        </div>
       </div>
       <div className="space-y-6">
+        <ReviewQueue dueCount={dueCount} deckSize={deckSize} />
         <StatsCards assessments={assessments} />
         <PerformanceChart assessments={assessments} />
-        <QuizList assessments={assessments} />
+        <TopicAnalytics assessments={assessments} />
+        <QuizList
+          assessments={assessments}
+          unfinishedQuizzes={unfinishedQuizzes}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,168 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { endOfDay } from "date-fns";
+import { CheckCircle2, Eye, Loader2 } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Progress } from "@/components/ui/progress";
+import { gradeReviewCard } from "@/actions/review";
+import useFetch from "@/hooks/use-fetch";
+import {
+  REVIEW_GRADES,
+  formatInterval,
+  scheduleReview,
+} from "@/lib/review-deck";
+import { cn } from "@/lib/utils";
+
+// Works through today's queue one card at a time. Cards graded "Again" come
+// back at the end of the queue.
+export default function ReviewSession({ cards, dueCount }) {
+  const [queue, setQueue] = useState(cards);
+  const [revealed, setRevealed] = useState(false);
+  const [reviewed, setReviewed] = useState(0);
+
+  const {
+    loading: grading,
+    fn: gradeCardFn,
+    data: gradedCard,
+  } = useFetch(gradeReviewCard);
+
+  useEffect(() => {
+    if (gradedCard && !grading) {
+      const dueToday = new Date(gradedCard.dueAt) <= endOfDay(new Date());
+      setQueue(([, ...rest]) => (dueToday ? [...rest, gradedCard] : rest));
+      setReviewed((count) => count + 1);
+      setRevealed(false);
+    }
+  }, [gradedCard, grading]);
+
+  const card = queue[0];
+
+  if (!card) {
+    return (
+      <Card>
+        <CardHeader className="items-center text-center">
+          <CheckCircle2 className="h-10 w-10 text-green-500" />
+          <CardTitle>All caught up!</CardTitle>
+          <CardDescription>
+            {reviewed
+              ? `You reviewed ${reviewed} ${
+                  reviewed === 1 ? "card" : "cards"
+                } today.`
+              : "Nothing is due today. Missed quiz questions show up here."}
+            {dueCount > cards.length &&
+              " More cards are due; come back later for the next batch."}
+          </CardDescription>
+        </CardHeader>
+        <CardFooter className="justify-center">
+          <Link href="/interview">
+            <Button variant="outline">Back to Interview Preparation</Button>
+          </Link>
+        </CardFooter>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between text-sm text-muted-foreground">
+          <span>
+            {queue.length} left · {reviewed} reviewed
+          </span>
+          <span>
+            Ease {card.ease.toFixed(2)} · {card.repetitions} in a row
+            {card.lapses > 0 && ` · forgotten ${card.lapses}×`}
+          </span>
+        </div>
+        <Progress value={(reviewed / (reviewed + queue.length)) * 100} />
+        <div className="flex flex-wrap gap-2 pt-2">
+          <Badge variant="secondary">{card.category}</Badge>
+          {card.topic && <Badge variant="outline">{card.topic}</Badge>}
+        </div>
+        <CardTitle className="text-lg">{card.question}</CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {card.options.length > 0 && (
+          <ul className="space-y-2">
+            {card.options.map((option) => (
+              <li
+                key={option}
+                className={cn(
+                  "rounded-lg border p-3 text-sm",
+                  revealed &&
+                    option === card.answer &&
+                    "border-green-500 text-green-600"
+                )}
+              >
+                {option}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {revealed ? (
+          <div className="space-y-2 rounded-lg bg-muted p-4 text-sm">
+            {!card.options.length && (
+              <>
+                <p className="font-medium">Model answer:</p>
+                <p className="whitespace-pre-wrap">{card.answer}</p>
+              </>
+            )}
+            {card.explanation && (
+              <>
+                <p className="font-medium">Explanation:</p>
+                <p>{card.explanation}</p>
+              </>
+            )}
+          </div>
+        ) : (
+          <p className="text-sm text-muted-foreground">
+            Recall your answer, then reveal it and rate how well you knew it.
+          </p>
+        )}
+      </CardContent>
+
+      <CardFooter>
+        {revealed ? (
+          <div className="grid w-full grid-cols-4 gap-2">
+            {REVIEW_GRADES.map((grade) => (
+              <Button
+                key={grade.value}
+                variant={grade.value === "again" ? "outline" : "secondary"}
+                onClick={() => gradeCardFn(card.id, grade.value)}
+                disabled={grading}
+                className="flex-col h-auto py-2"
+              >
+                {grading ? (
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                ) : (
+                  grade.label
+                )}
+                <span className="text-xs text-muted-foreground">
+                  {formatInterval(scheduleReview(card, grade.value).interval)}
+                </span>
+              </Button>
+            ))}
+          </div>
+        ) : (
+          <Button onClick={() => setRevealed(true)} className="w-full">
+            <Eye className="h-4 w-4" />
+            Show Answer
+          </Button>
+        )}
+      </CardFooter>
+    </Card>
+  );
+}
@@ -0,0 +1,31 @@
+import Link from "next/link";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { getReviewQueue } from "@/actions/review";
+import ReviewSession from "./_components/review-session";
+
+export default async function ReviewPage() {
+  const { cards, dueCount } = await getReviewQueue();
+
+  return (
+    <div className="container mx-auto py-6">
+      <div className="flex flex-col space-y-2">
+        <Link href="/interview">
+          <Button variant="link" className="gap-2 pl-0">
+            <ArrowLeft className="h-4 w-4" />
+            Back to Interview Preparation
+          </Button>
+        </Link>
+
+        <div className="pb-6">
+          <h1 className="text-6xl font-bold gradient-title">Daily Review</h1>
+          <p className="text-muted-foreground">
+            Revisit the questions you missed, just before you would forget them
+          </p>
+        </div>
+      </div>
+
+      <ReviewSession cards={cards} dueCount={dueCount} />
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { getInterviewSession } from "@/actions/interview-session";
+import QuizResult from "../../_components/quiz-result";
+import InterviewChat, { ChatMessage } from "../_components/interview-chat";
+
+export default async function InterviewSessionPage({ params }) {
+  const { id } = await params;
+  const session = await getInterviewSession(id);
+
+  if (!session) notFound();
+
+  return (
+    <div className="container mx-auto py-6">
+      <div className="flex flex-col space-y-2">
+        <Link href="/interview">
+          <Button variant="link" className="gap-2 pl-0">
+            <ArrowLeft className="h-4 w-4" />
+            Back to Interview Preparation
+          </Button>
+        </Link>
+
+        <div className="pb-6">
+          <h1 className="text-6xl font-bold gradient-title">
+            {session.jobTitle}
+          </h1>
+          <p className="text-muted-foreground">
+            {session.category} interview
+            {session.companyName && ` at ${session.companyName}`}
+            {session.resume && ` · Resume: ${session.resume.title}`}
+          </p>
+        </div>
+      </div>
+
+      {session.status === "completed" ? (
+        <div className="space-y-6">
+          <QuizResult
+            result={
+              session.assessment && {
+                ...session.assessment,
+                interviewSession: session,
+              }
+            }
+            hideStartNew
+          />
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Transcript</CardTitle>
+              <CardDescription>The full conversation</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {session.messages.map((message, index) => (
+                <ChatMessage key={index} message={message} />
+              ))}
+            </CardContent>
+          </Card>
+        </div>
+      ) : (
+        <InterviewChat session={session} />
+      )}
+    </div>
+  );
+}
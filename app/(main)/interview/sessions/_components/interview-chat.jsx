@@ -0,0 +1,197 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { useRouter } from "next/navigation";
+import { Bot, Flag, Loader2, Send, UserRound } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import {
+  endInterviewSession,
+  sendInterviewAnswer,
+} from "@/actions/interview-session";
+import useFetch from "@/hooks/use-fetch";
+import { cn } from "@/lib/utils";
+
+export function ChatMessage({ message }) {
+  const fromInterviewer = message.role === "interviewer";
+  const Icon = fromInterviewer ? Bot : UserRound;
+
+  return (
+    <div
+      className={cn(
+        "flex items-start gap-2",
+        !fromInterviewer && "flex-row-reverse"
+      )}
+    >
+      <div className="rounded-full bg-muted p-2">
+        <Icon className="h-4 w-4" />
+      </div>
+      <div
+        className={cn(
+          "max-w-[80%] rounded-lg px-4 py-2 text-sm whitespace-pre-wrap",
+          fromInterviewer ? "bg-muted" : "bg-primary text-primary-foreground"
+        )}
+      >
+        {message.content}
+      </div>
+    </div>
+  );
+}
+
+// Turn-based chat with the AI interviewer. The answer being sent is shown
+// right away and only kept once the server has the interviewer's reply.
+export default function InterviewChat({ session }) {
+  const router = useRouter();
+  const [messages, setMessages] = useState(session.messages);
+  const [draft, setDraft] = useState("");
+  const bottomRef = useRef(null);
+
+  const {
+    loading: sending,
+    fn: sendAnswerFn,
+    data: updatedMessages,
+  } = useFetch(sendInterviewAnswer);
+
+  const {
+    loading: ending,
+    fn: endSessionFn,
+    data: endedSession,
+  } = useFetch(endInterviewSession);
+
+  useEffect(() => {
+    if (updatedMessages && !sending) {
+      setMessages(updatedMessages);
+      setDraft("");
+    }
+  }, [updatedMessages, sending]);
+
+  useEffect(() => {
+    if (endedSession && !ending) router.refresh();
+  }, [endedSession, ending]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages, sending]);
+
+  const answered = messages.filter(
+    (message) => message.role === "candidate"
+  ).length;
+  const finished = answered >= session.questionCount;
+  const busy = sending || ending;
+
+  const sendAnswer = () => {
+    if (draft.trim() && !busy) sendAnswerFn(session.id, draft);
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle>
+          {finished
+            ? "Interview complete"
+            : `Question ${answered + 1} of ${session.questionCount}`}
+        </CardTitle>
+        {finished ? (
+          <Button onClick={() => endSessionFn(session.id)} disabled={busy}>
+            {ending ? (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            ) : (
+              <Flag className="h-4 w-4" />
+            )}
+            Get Report
+          </Button>
+        ) : (
+          <AlertDialog>
+            <AlertDialogTrigger asChild>
+              <Button variant="outline" disabled={busy || answered === 0}>
+                {ending ? (
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                ) : (
+                  <Flag className="h-4 w-4" />
+                )}
+                End Early
+              </Button>
+            </AlertDialogTrigger>
+            <AlertDialogContent>
+              <AlertDialogHeader>
+                <AlertDialogTitle>End Interview?</AlertDialogTitle>
+                <AlertDialogDescription>
+                  Your report will only cover the {answered}{" "}
+                  {answered === 1 ? "answer" : "answers"} you have given so far.
+                  You can&apos;t continue the interview afterwards.
+                </AlertDialogDescription>
+              </AlertDialogHeader>
+              <AlertDialogFooter>
+                <AlertDialogCancel>Cancel</AlertDialogCancel>
+                <AlertDialogAction onClick={() => endSessionFn(session.id)}>
+                  End Interview
+                </AlertDialogAction>
+              </AlertDialogFooter>
+            </AlertDialogContent>
+          </AlertDialog>
+        )}
+      </CardHeader>
+
+      <CardContent className="space-y-4 max-h-[60vh] overflow-y-auto">
+        {messages.map((message, index) => (
+          <ChatMessage key={index} message={message} />
+        ))}
+        {sending && (
+          <>
+            <ChatMessage message={{ role: "candidate", content: draft }} />
+            <div className="flex items-center gap-2 text-sm text-muted-foreground">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              The interviewer is thinking...
+            </div>
+          </>
+        )}
+        <div ref={bottomRef} />
+      </CardContent>
+
+      {!finished && (
+        <CardFooter className="flex-col items-stretch gap-2">
+          <Textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
+                e.preventDefault();
+                sendAnswer();
+              }
+            }}
+            placeholder="Type your answer as you would say it..."
+            className="h-32"
+            disabled={busy}
+          />
+          <div className="flex items-center justify-between">
+            <p className="text-xs text-muted-foreground">
+              Ctrl + Enter to send
+            </p>
+            <Button onClick={sendAnswer} disabled={!draft.trim() || busy}>
+              <Send className="h-4 w-4" />
+              Send Answer
+            </Button>
+          </div>
+        </CardFooter>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,196 @@
+"use client";
+
+import { useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { Controller, useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Loader2, MessagesSquare } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { startInterviewSession } from "@/actions/interview-session";
+import useFetch from "@/hooks/use-fetch";
+import { interviewSessionSchema } from "@/app/lib/schema";
+import { INTERVIEW_CATEGORIES, SESSION_LENGTHS } from "@/lib/interview-options";
+
+export default function SessionSetup({ resumes, defaultValues }) {
+  const router = useRouter();
+
+  const {
+    control,
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(interviewSessionSchema),
+    defaultValues: {
+      jobTitle: "",
+      companyName: "",
+      category: "Behavioral",
+      questionCount: SESSION_LENGTHS[1].value,
+      // The most recently updated resume
+      resumeId: resumes[0]?.id,
+      ...defaultValues,
+    },
+  });
+
+  const {
+    loading: starting,
+    fn: startSessionFn,
+    data: session,
+  } = useFetch(startInterviewSession);
+
+  useEffect(() => {
+    if (session && !starting) router.push(`/interview/sessions/${session.id}`);
+  }, [session, starting]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Interview Setup</CardTitle>
+        <CardDescription>
+          The interviewer tailors its questions to the role, the company and
+          your resume, and follows up on your answers
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit(startSessionFn)} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="jobTitle">Role</Label>
+              <Input
+                id="jobTitle"
+                placeholder="e.g. Senior Frontend Engineer"
+                {...register("jobTitle")}
+              />
+              {errors.jobTitle && (
+                <p className="text-sm text-red-500">
+                  {errors.jobTitle.message}
+                </p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="companyName">Company (optional)</Label>
+              <Input
+                id="companyName"
+                placeholder="e.g. Acme Corp"
+                {...register("companyName")}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="category">Interview Type</Label>
+              <Controller
+                name="category"
+                control={control}
+                render={({ field }) => (
+                  <Select value={field.value} onValueChange={field.onChange}>
+                    <SelectTrigger id="category">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {INTERVIEW_CATEGORIES.map((category) => (
+                        <SelectItem key={category.value} value={category.value}>
+                          {category.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="questionCount">Length</Label>
+              <Controller
+                name="questionCount"
+                control={control}
+                render={({ field }) => (
+                  <Select
+                    value={String(field.value)}
+                    onValueChange={(value) => field.onChange(Number(value))}
+                  >
+                    <SelectTrigger id="questionCount">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {SESSION_LENGTHS.map((length) => (
+                        <SelectItem
+                          key={length.value}
+                          value={String(length.value)}
+                        >
+                          {length.label} ({length.description})
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="resumeId">Resume</Label>
+              <Controller
+                name="resumeId"
+                control={control}
+                render={({ field }) => (
+                  <Select
+                    value={field.value ?? "none"}
+                    onValueChange={(value) =>
+                      field.onChange(value === "none" ? undefined : value)
+                    }
+                  >
+                    <SelectTrigger id="resumeId">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">None</SelectItem>
+                      {resumes.map((resume) => (
+                        <SelectItem key={resume.id} value={resume.id}>
+                          {resume.title}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <Button type="submit" disabled={starting}>
+              {starting ? (
+                <>
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                  Starting...
+                </>
+              ) : (
+                <>
+                  <MessagesSquare className="h-4 w-4" />
+                  Start Interview
+                </>
+              )}
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
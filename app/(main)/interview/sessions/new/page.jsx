@@ -0,0 +1,83 @@
+import Link from "next/link";
+import { formatDistanceToNow } from "date-fns";
+import { ArrowLeft, MessagesSquare } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { getResumes } from "@/actions/resume";
+import { getInterviewSessions } from "@/actions/interview-session";
+import SessionSetup from "../_components/session-setup";
+
+export default async function NewInterviewSessionPage({ searchParams }) {
+  // Prefilled when practicing for a tracked job application
+  const { jobTitle, companyName, resumeId, applicationId } = await searchParams;
+  const [resumes, sessions] = await Promise.all([
+    getResumes(),
+    getInterviewSessions(),
+  ]);
+  const unfinished = sessions.filter(
+    (session) => session.status === "in_progress"
+  );
+
+  return (
+    <div className="container mx-auto py-6">
+      <div className="flex flex-col space-y-2">
+        <Link href="/interview">
+          <Button variant="link" className="gap-2 pl-0">
+            <ArrowLeft className="h-4 w-4" />
+            Back to Interview Preparation
+          </Button>
+        </Link>
+
+        <div className="pb-6">
+          <h1 className="text-6xl font-bold gradient-title">Live Interview</h1>
+          <p className="text-muted-foreground">
+            Practice a real conversation with an AI interviewer
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-6">
+        <SessionSetup
+          resumes={resumes}
+          defaultValues={{
+            ...(jobTitle && { jobTitle }),
+            ...(companyName && { companyName }),
+            ...(applicationId && { applicationId }),
+            ...(resumes.some((resume) => resume.id === resumeId) && {
+              resumeId,
+            }),
+          }}
+        />
+
+        {unfinished.length > 0 && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Unfinished Interviews</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              {unfinished.map((session) => (
+                <Link
+                  key={session.id}
+                  href={`/interview/sessions/${session.id}`}
+                  className="flex items-center justify-between rounded-lg border p-3 text-sm hover:bg-muted/50 transition-colors"
+                >
+                  <span className="flex items-center gap-2 font-medium">
+                    <MessagesSquare className="h-4 w-4" />
+                    {session.jobTitle}
+                    {session.companyName && ` at ${session.companyName}`}
+                  </span>
+                  <span className="text-muted-foreground">
+                    {session.category} ·{" "}
+                    {formatDistanceToNow(new Date(session.updatedAt), {
+                      addSuffix: true,
+                    })}
+                  </span>
+                </Link>
+              ))}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
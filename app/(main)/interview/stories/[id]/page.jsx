@@ -0,0 +1,35 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { getStory } from "@/actions/story";
+import StoryCoach from "../_components/story-coach";
+
+export default async function EditStoryPage({ params }) {
+  const { id } = await params;
+  const story = await getStory(id);
+
+  if (!story) notFound();
+
+  return (
+    <div className="container mx-auto py-6">
+      <div className="flex flex-col space-y-2">
+        <Link href="/interview/stories">
+          <Button variant="link" className="gap-2 pl-0">
+            <ArrowLeft className="h-4 w-4" />
+            Back to Story Bank
+          </Button>
+        </Link>
+
+        <div className="pb-6">
+          <h1 className="text-6xl font-bold gradient-title">{story.title}</h1>
+          {story.prompt && (
+            <p className="text-muted-foreground">{story.prompt}</p>
+          )}
+        </div>
+      </div>
+
+      <StoryCoach story={story} />
+    </div>
+  );
+}
@@ -0,0 +1,283 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { toast } from "sonner";
+import { Loader2, Plus, Save, Sparkles } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { createStory, critiqueStory, updateStory } from "@/actions/story";
+import useFetch from "@/hooks/use-fetch";
+import { storySchema } from "@/app/lib/schema";
+import { COMPETENCIES, STAR_PARTS, STORY_PROMPTS } from "@/lib/star-stories";
+import { cn } from "@/lib/utils";
+
+const RATING_COLORS = {
+  1: "text-red-500",
+  2: "text-red-500",
+  3: "text-yellow-500",
+  4: "text-green-500",
+  5: "text-green-500",
+};
+
+// Guided STAR editor: one field per part, with AI critique of each part
+export default function StoryCoach({ story, defaultPrompt }) {
+  const router = useRouter();
+  const [critique, setCritique] = useState(story?.critique ?? null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    watch,
+    setValue,
+    getValues,
+  } = useForm({
+    resolver: zodResolver(storySchema),
+    defaultValues: {
+      title: story?.title ?? "",
+      prompt: story?.prompt ?? defaultPrompt ?? "",
+      competencies: story?.competencies ?? [],
+      situation: story?.situation ?? "",
+      task: story?.task ?? "",
+      action: story?.action ?? "",
+      result: story?.result ?? "",
+    },
+  });
+
+  const {
+    loading: isCritiquing,
+    fn: critiqueStoryFn,
+    data: critiqueResult,
+  } = useFetch(critiqueStory);
+
+  const {
+    loading: isSaving,
+    fn: saveStoryFn,
+    data: savedStory,
+  } = useFetch(story ? updateStory.bind(null, story.id) : createStory);
+
+  useEffect(() => {
+    if (critiqueResult && !isCritiquing) setCritique(critiqueResult);
+  }, [critiqueResult, isCritiquing]);
+
+  useEffect(() => {
+    if (savedStory && !isSaving) {
+      toast.success("Story saved!");
+      if (!story) router.push(`/interview/stories/${savedStory.id}`);
+    }
+  }, [savedStory, isSaving]);
+
+  const competencies = watch("competencies");
+  const toggleCompetency = (competency) =>
+    setValue(
+      "competencies",
+      competencies.includes(competency)
+        ? competencies.filter((item) => item !== competency)
+        : [...competencies, competency],
+      { shouldValidate: true }
+    );
+
+  const hasDraft = STAR_PARTS.some((part) => watch(part.key)?.trim());
+  const suggested = (critique?.suggestedCompetencies ?? []).filter(
+    (competency) => !competencies.includes(competency)
+  );
+
+  return (
+    <form
+      onSubmit={handleSubmit((values) => saveStoryFn({ ...values, critique }))}
+      className="space-y-6"
+    >
+      <Card>
+        <CardHeader>
+          <CardTitle>Question</CardTitle>
+          <CardDescription>
+            The behavioral question this story answers
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <Input
+            placeholder="e.g. Tell me about a conflict with a coworker"
+            {...register("prompt")}
+          />
+          <div className="flex flex-wrap gap-2">
+            {STORY_PROMPTS.map((prompt) => (
+              <Button
+                key={prompt}
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => setValue("prompt", prompt)}
+              >
+                {prompt}
+              </Button>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Your Story</CardTitle>
+          <CardDescription>
+            Walk through each part, then ask for feedback
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {STAR_PARTS.map((part) => {
+            const feedback = critique?.parts[part.key];
+
+            return (
+              <div key={part.key} className="space-y-2">
+                <Label htmlFor={part.key}>{part.label}</Label>
+                <p className="text-xs text-muted-foreground">
+                  {part.description}
+                </p>
+                <Textarea
+                  id={part.key}
+                  placeholder={part.placeholder}
+                  className="h-28"
+                  {...register(part.key)}
+                />
+                {errors[part.key] && (
+                  <p className="text-sm text-red-500">
+                    {errors[part.key].message}
+                  </p>
+                )}
+                {feedback && (
+                  <div className="rounded-lg bg-muted p-3 text-sm">
+                    <span
+                      className={cn(
+                        "font-medium",
+                        RATING_COLORS[feedback.rating]
+                      )}
+                    >
+                      {feedback.rating}/5
+                    </span>{" "}
+                    <span className="text-muted-foreground">
+                      {feedback.feedback}
+                    </span>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          {critique && (
+            <div className="rounded-lg border p-4 text-sm">
+              <p className="font-medium">Overall</p>
+              <p className="text-muted-foreground">{critique.overall}</p>
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => critiqueStoryFn(getValues())}
+              disabled={!hasDraft || isCritiquing}
+            >
+              {isCritiquing ? (
+                <Loader2 className="h-4 w-4 animate-spin" />
+              ) : (
+                <Sparkles className="h-4 w-4" />
+              )}
+              {critique ? "Critique Again" : "Get Feedback"}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Save to Story Bank</CardTitle>
+          <CardDescription>
+            Tag the competencies it shows so you can find it for other questions
+            and cover letters
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="title">Title</Label>
+            <Input
+              id="title"
+              placeholder="e.g. Launch day payments outage"
+              {...register("title")}
+            />
+            {errors.title && (
+              <p className="text-sm text-red-500">{errors.title.message}</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label>Competencies</Label>
+            <div className="flex flex-wrap gap-2">
+              {COMPETENCIES.map((competency) => (
+                <Badge
+                  key={competency}
+                  variant={
+                    competencies.includes(competency) ? "default" : "outline"
+                  }
+                  className="cursor-pointer"
+                  onClick={() => toggleCompetency(competency)}
+                >
+                  {competency}
+                </Badge>
+              ))}
+            </div>
+            {suggested.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2 text-sm text-muted-foreground">
+                Suggested:
+                {suggested.map((competency) => (
+                  <Button
+                    key={competency}
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => toggleCompetency(competency)}
+                  >
+                    <Plus className="h-3 w-3" />
+                    {competency}
+                  </Button>
+                ))}
+              </div>
+            )}
+            {errors.competencies && (
+              <p className="text-sm text-red-500">
+                {errors.competencies.message}
+              </p>
+            )}
+          </div>
+
+          <div className="flex justify-end">
+            <Button type="submit" disabled={isSaving}>
+              {isSaving ? (
+                <>
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                  Saving...
+                </>
+              ) : (
+                <>
+                  <Save className="h-4 w-4" />
+                  Save Story
+                </>
+              )}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </form>
+  );
+}
@@ -0,0 +1,157 @@
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { Edit2, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import { deleteStory } from "@/actions/story";
+import { COMPETENCIES } from "@/lib/star-stories";
+
+export default function StoryList({ stories }) {
+  const router = useRouter();
+  const [competency, setCompetency] = useState(null);
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteStory(id);
+      toast.success("Story deleted successfully!");
+      router.refresh();
+    } catch (error) {
+      toast.error(error.message || "Failed to delete story");
+    }
+  };
+
+  if (!stories?.length) {
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle>No Stories Yet</CardTitle>
+          <CardDescription>
+            Write your first STAR story to start your story bank
+          </CardDescription>
+        </CardHeader>
+      </Card>
+    );
+  }
+
+  // Only offer the competencies that have stories
+  const tagged = COMPETENCIES.filter((item) =>
+    stories.some((story) => story.competencies.includes(item))
+  );
+  const visibleStories = competency
+    ? stories.filter((story) => story.competencies.includes(competency))
+    : stories;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2">
+        <Badge
+          variant={competency ? "outline" : "default"}
+          className="cursor-pointer"
+          onClick={() => setCompetency(null)}
+        >
+          All ({stories.length})
+        </Badge>
+        {tagged.map((item) => (
+          <Badge
+            key={item}
+            variant={competency === item ? "default" : "outline"}
+            className="cursor-pointer"
+            onClick={() => setCompetency(item)}
+          >
+            {item} (
+            {
+              stories.filter((story) => story.competencies.includes(item))
+                .length
+            }
+            )
+          </Badge>
+        ))}
+      </div>
+
+      {visibleStories.map((story) => (
+        <Card key={story.id}>
+          <CardHeader>
+            <div className="flex items-start justify-between gap-2">
+              <div className="space-y-1">
+                <CardTitle className="text-xl gradient-title">
+                  {story.title}
+                </CardTitle>
+                <CardDescription>
+                  {story.prompt && <span>{story.prompt} · </span>}
+                  Updated {format(new Date(story.updatedAt), "PPP")}
+                </CardDescription>
+              </div>
+              <div className="flex space-x-2">
+                <Link href={`/interview/stories/${story.id}`}>
+                  <Button variant="outline" size="icon">
+                    <Edit2 className="h-4 w-4" />
+                  </Button>
+                </Link>
+                <AlertDialog>
+                  <AlertDialogTrigger asChild>
+                    <Button variant="outline" size="icon">
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </AlertDialogTrigger>
+                  <AlertDialogContent>
+                    <AlertDialogHeader>
+                      <AlertDialogTitle>Delete Story?</AlertDialogTitle>
+                      <AlertDialogDescription>
+                        This action cannot be undone. This will permanently
+                        delete &quot;{story.title}&quot; from your story bank.
+                      </AlertDialogDescription>
+                    </AlertDialogHeader>
+                    <AlertDialogFooter>
+                      <AlertDialogCancel>Cancel</AlertDialogCancel>
+                      <AlertDialogAction
+                        onClick={() => handleDelete(story.id)}
+                        className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+                      >
+                        Delete
+                      </AlertDialogAction>
+                    </AlertDialogFooter>
+                  </AlertDialogContent>
+                </AlertDialog>
+              </div>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            <div className="flex flex-wrap gap-1">
+              {story.competencies.map((item) => (
+                <Badge key={item} variant="secondary">
+                  {item}
+                </Badge>
+              ))}
+            </div>
+            <p className="text-sm text-muted-foreground line-clamp-2">
+              {story.result}
+            </p>
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  );
+}
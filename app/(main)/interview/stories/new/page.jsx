@@ -0,0 +1,30 @@
+import Link from "next/link";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import StoryCoach from "../_components/story-coach";
+
+export default async function NewStoryPage({ searchParams }) {
+  const { prompt } = await searchParams;
+
+  return (
+    <div className="container mx-auto py-6">
+      <div className="flex flex-col space-y-2">
+        <Link href="/interview/stories">
+          <Button variant="link" className="gap-2 pl-0">
+            <ArrowLeft className="h-4 w-4" />
+            Back to Story Bank
+          </Button>
+        </Link>
+
+        <div className="pb-6">
+          <h1 className="text-6xl font-bold gradient-title">STAR Coach</h1>
+          <p className="text-muted-foreground">
+            Build a behavioral answer one part at a time
+          </p>
+        </div>
+      </div>
+
+      <StoryCoach defaultPrompt={prompt} />
+    </div>
+  );
+}
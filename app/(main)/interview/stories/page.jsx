@@ -0,0 +1,39 @@
+import Link from "next/link";
+import { ArrowLeft, Plus } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { getStories } from "@/actions/story";
+import StoryList from "./_components/story-list";
+
+export default async function StoriesPage() {
+  const stories = await getStories();
+
+  return (
+    <div className="container mx-auto py-6">
+      <div className="flex flex-col space-y-2">
+        <Link href="/interview">
+          <Button variant="link" className="gap-2 pl-0">
+            <ArrowLeft className="h-4 w-4" />
+            Back to Interview Preparation
+          </Button>
+        </Link>
+
+        <div className="flex flex-col md:flex-row gap-2 items-center justify-between pb-6">
+          <div>
+            <h1 className="text-6xl font-bold gradient-title">Story Bank</h1>
+            <p className="text-muted-foreground">
+              Behavioral answers in STAR format, ready for any interview
+            </p>
+          </div>
+          <Link href="/interview/stories/new">
+            <Button>
+              <Plus className="h-4 w-4 mr-2" />
+              New Story
+            </Button>
+          </Link>
+        </div>
+      </div>
+
+      <StoryList stories={stories} />
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { getResume } from "@/actions/resume";
+import ResumeBuilder from "../_components/resume-builder";
+
+export default async function EditResumePage({ params }) {
+  const { id } = await params;
+  const resume = await getResume(id);
+
+  if (!resume) notFound();
+
+  return (
+    <div className="container mx-auto py-6">
+      <Link href="/resume">
+        <Button variant="link" className="gap-2 pl-0">
+          <ArrowLeft className="h-4 w-4" />
+          Back to Resumes
+        </Button>
+      </Link>
+
+      <ResumeBuilder resume={resume} />
+    </div>
+  );
+}
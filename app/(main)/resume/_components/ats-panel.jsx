@@ -0,0 +1,159 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import { Gauge, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import MDEditor from "@uiw/react-md-editor";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import { Progress } from "@/components/ui/progress";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { analyzeResume } from "@/actions/resume";
+import useFetch from "@/hooks/use-fetch";
+import JobMatchPanel from "@/components/job-match-panel";
+
+const getScoreColor = (score) => {
+  if (score >= 75) return "text-green-500";
+  if (score >= 50) return "text-yellow-500";
+  return "text-red-500";
+};
+
+export default function AtsPanel({ resume }) {
+  const [jobDescription, setJobDescription] = useState(
+    resume.atsBreakdown?.jobDescription ?? ""
+  );
+
+  const {
+    loading: isAnalyzing,
+    fn: analyzeResumeFn,
+    data: analyzedResume,
+  } = useFetch(analyzeResume);
+
+  useEffect(() => {
+    if (analyzedResume && !isAnalyzing) {
+      toast.success("Resume analyzed!");
+    }
+  }, [analyzedResume, isAnalyzing]);
+
+  const { atsScore, atsBreakdown, feedback } = analyzedResume ?? resume;
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader>
+          <CardTitle>ATS Check</CardTitle>
+          <CardDescription>
+            Scores your last saved resume. Paste a job description to also check
+            keyword coverage.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <Textarea
+            className="h-32"
+            placeholder="Paste the job description here (optional)"
+            value={jobDescription}
+            onChange={(e) => setJobDescription(e.target.value)}
+          />
+          <Button
+            type="button"
+            onClick={() => analyzeResumeFn(resume.id, jobDescription)}
+            disabled={isAnalyzing}
+          >
+            {isAnalyzing ? (
+              <>
+                <Loader2 className="h-4 w-4 animate-spin" />
+                Analyzing...
+              </>
+            ) : (
+              <>
+                <Gauge className="h-4 w-4" />
+                Analyze Resume
+              </>
+            )}
+          </Button>
+        </CardContent>
+      </Card>
+
+      <JobMatchPanel jobDescription={jobDescription} resumeId={resume.id} />
+
+      {atsBreakdown && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-baseline gap-2">
+              <span className={`text-4xl ${getScoreColor(atsScore)}`}>
+                {Math.round(atsScore)}
+              </span>
+              <span className="text-muted-foreground text-base">/ 100</span>
+            </CardTitle>
+            <CardDescription>
+              Analyzed{" "}
+              {formatDistanceToNow(new Date(atsBreakdown.analyzedAt), {
+                addSuffix: true,
+              })}
+              {atsBreakdown.jobDescription
+                ? " against a job description"
+                : " without a job description"}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {atsBreakdown.components.map((component) => (
+              <div key={component.key} className="space-y-2">
+                <div className="flex justify-between text-sm">
+                  <span className="font-medium">{component.label}</span>
+                  <span className={getScoreColor(component.score)}>
+                    {component.score}
+                  </span>
+                </div>
+                <Progress value={component.score} className="h-2" />
+                <p className="text-xs text-muted-foreground">
+                  {component.details}
+                </p>
+                {component.suggestions.length > 0 && (
+                  <ul className="list-disc pl-5 text-sm">
+                    {component.suggestions.map((suggestion) => (
+                      <li key={suggestion}>{suggestion}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+
+            {atsBreakdown.keywords && (
+              <div className="space-y-2">
+                <p className="text-sm font-medium">Keywords</p>
+                <div className="flex flex-wrap gap-2">
+                  {atsBreakdown.keywords.matched.map((keyword) => (
+                    <Badge key={keyword}>{keyword}</Badge>
+                  ))}
+                  {atsBreakdown.keywords.missing.map((keyword) => (
+                    <Badge key={keyword} variant="outline">
+                      {keyword}
+                    </Badge>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {feedback && (
+              <div className="bg-muted p-4 rounded-lg" data-color-mode="light">
+                <p className="font-medium mb-2">AI Feedback</p>
+                <MDEditor.Markdown
+                  source={feedback}
+                  style={{ background: "transparent" }}
+                />
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
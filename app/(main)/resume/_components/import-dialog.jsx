@@ -0,0 +1,226 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { FileText, Loader2, Sparkles } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { parseResumeWithAI } from "@/actions/resume";
+import useFetch from "@/hooks/use-fetch";
+import { entrySchema } from "@/app/lib/schema";
+import { hasParsedContent, parseResumeMarkdown } from "@/app/lib/resume-parser";
+
+const ENTRY_SECTIONS = [
+  ["experience", "Work Experience"],
+  ["education", "Education"],
+  ["projects", "Projects"],
+];
+
+// Keys of everything that can be imported as-is
+const selectableKeys = (parsed) => [
+  ...(Object.values(parsed.contactInfo).some(Boolean) ? ["contactInfo"] : []),
+  ...(parsed.summary ? ["summary"] : []),
+  ...(parsed.skills ? ["skills"] : []),
+  ...ENTRY_SECTIONS.flatMap(([section]) =>
+    parsed[section]
+      .map((entry, i) =>
+        entrySchema.safeParse(entry).success ? `${section}-${i}` : null
+      )
+      .filter(Boolean)
+  ),
+];
+
+export default function ImportDialog({
+  open,
+  onOpenChange,
+  initialText = "",
+  onImport,
+}) {
+  const [text, setText] = useState(initialText);
+  const [parsed, setParsed] = useState(null);
+  const [selected, setSelected] = useState([]);
+
+  const {
+    loading: isParsing,
+    fn: parseWithAIFn,
+    data: aiParsed,
+  } = useFetch(parseResumeWithAI);
+
+  useEffect(() => {
+    if (open) {
+      setText(initialText);
+      setParsed(null);
+    }
+  }, [open, initialText]);
+
+  useEffect(() => {
+    if (aiParsed && !isParsing) showReview(aiParsed);
+  }, [aiParsed, isParsing]);
+
+  const showReview = (result) => {
+    setParsed(result);
+    setSelected(selectableKeys(result));
+  };
+
+  const handleParse = () => {
+    const result = parseResumeMarkdown(text);
+    if (!hasParsedContent(result)) {
+      toast.error("No resume sections found, try parsing with AI instead");
+      return;
+    }
+    showReview(result);
+  };
+
+  const toggle = (key) =>
+    setSelected((keys) =>
+      keys.includes(key) ? keys.filter((k) => k !== key) : [...keys, key]
+    );
+
+  const handleImport = () => {
+    const pick = (key) => selected.includes(key);
+
+    onImport({
+      contactInfo: pick("contactInfo") ? parsed.contactInfo : undefined,
+      summary: pick("summary") ? parsed.summary : undefined,
+      skills: pick("skills") ? parsed.skills : undefined,
+      ...Object.fromEntries(
+        ENTRY_SECTIONS.map(([section]) => [
+          section,
+          parsed[section].filter((_, i) => pick(`${section}-${i}`)),
+        ])
+      ),
+    });
+    onOpenChange(false);
+  };
+
+  const renderOption = (key, title, detail, error) => (
+    <label
+      key={key}
+      className="flex items-start gap-2 border rounded-lg p-3 text-sm"
+    >
+      <input
+        type="checkbox"
+        className="mt-1"
+        checked={selected.includes(key)}
+        disabled={!!error}
+        onChange={() => toggle(key)}
+      />
+      <div className="space-y-1 min-w-0">
+        <p className="font-medium">{title}</p>
+        {detail && (
+          <p className="text-muted-foreground whitespace-pre-wrap line-clamp-3">
+            {detail}
+          </p>
+        )}
+        {error && <p className="text-red-500">{error}</p>}
+      </div>
+    </label>
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import Resume</DialogTitle>
+          <DialogDescription>
+            Paste your resume as markdown or plain text, then review what will
+            be added to the form.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!parsed ? (
+          <Textarea
+            className="h-80 font-mono text-xs"
+            placeholder={
+              "## Work Experience\n\n### Software Engineer @ Acme\nJan 2021 - Present\n\nBuilt ..."
+            }
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+          />
+        ) : (
+          <div className="space-y-4">
+            {Object.values(parsed.contactInfo).some(Boolean) &&
+              renderOption(
+                "contactInfo",
+                "Contact Information",
+                Object.values(parsed.contactInfo).filter(Boolean).join(" | ")
+              )}
+            {parsed.summary &&
+              renderOption("summary", "Professional Summary", parsed.summary)}
+            {parsed.skills && renderOption("skills", "Skills", parsed.skills)}
+
+            {ENTRY_SECTIONS.map(
+              ([section, label]) =>
+                parsed[section].length > 0 && (
+                  <div key={section} className="space-y-2">
+                    <h4 className="font-medium">{label}</h4>
+                    {parsed[section].map((entry, i) => {
+                      const validation = entrySchema.safeParse(entry);
+                      const dates = entry.current
+                        ? `${entry.startDate} - Present`
+                        : `${entry.startDate} - ${entry.endDate}`;
+
+                      return renderOption(
+                        `${section}-${i}`,
+                        `${entry.title} @ ${entry.organization}`,
+                        `${dates}\n${entry.description}`,
+                        validation.success
+                          ? null
+                          : validation.error.issues[0].message
+                      );
+                    })}
+                  </div>
+                )
+            )}
+
+            {parsed.unmatched?.length > 0 && (
+              <p className="text-sm text-muted-foreground">
+                Skipped sections: {parsed.unmatched.join(", ")}
+              </p>
+            )}
+          </div>
+        )}
+
+        <DialogFooter className="gap-2">
+          {!parsed ? (
+            <>
+              <Button
+                variant="outline"
+                onClick={() => parseWithAIFn(text)}
+                disabled={!text.trim() || isParsing}
+              >
+                {isParsing ? (
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                ) : (
+                  <Sparkles className="h-4 w-4" />
+                )}
+                Parse with AI
+              </Button>
+              <Button onClick={handleParse} disabled={!text.trim()}>
+                <FileText className="h-4 w-4" />
+                Parse Markdown
+              </Button>
+            </>
+          ) : (
+            <>
+              <Button variant="outline" onClick={() => setParsed(null)}>
+                Back
+              </Button>
+              <Button onClick={handleImport} disabled={!selected.length}>
+                Import {selected.length} Selected
+              </Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,122 @@
+"use client";
+
+import { useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { toast } from "sonner";
+import { Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { createResume } from "@/actions/resume";
+import useFetch from "@/hooks/use-fetch";
+import { newResumeSchema } from "@/app/lib/schema";
+
+export default function NewResumeForm({ resumes, defaultParentId }) {
+  const router = useRouter();
+  const source = resumes.find((resume) => resume.id === defaultParentId);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    setValue,
+  } = useForm({
+    resolver: zodResolver(newResumeSchema),
+    defaultValues: {
+      title: source ? `${source.title} (tailored)` : "",
+      parentId: source?.id,
+    },
+  });
+
+  const {
+    loading: creating,
+    fn: createResumeFn,
+    data: createdResume,
+  } = useFetch(createResume);
+
+  useEffect(() => {
+    if (createdResume) {
+      toast.success("Resume created successfully!");
+      router.push(`/resume/${createdResume.id}`);
+    }
+  }, [createdResume]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Resume Details</CardTitle>
+        <CardDescription>
+          Give your resume a name, e.g. the role family it targets
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit(createResumeFn)} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="title">Title</Label>
+              <Input
+                id="title"
+                placeholder="e.g. Backend Engineer"
+                {...register("title")}
+              />
+              {errors.title && (
+                <p className="text-sm text-red-500">{errors.title.message}</p>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="parentId">Start From</Label>
+              <Select
+                defaultValue={source?.id ?? "blank"}
+                onValueChange={(value) =>
+                  setValue("parentId", value === "blank" ? undefined : value)
+                }
+              >
+                <SelectTrigger id="parentId">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="blank">Blank resume</SelectItem>
+                  {resumes.map((resume) => (
+                    <SelectItem key={resume.id} value={resume.id}>
+                      Tailored copy of {resume.title}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <Button type="submit" disabled={creating}>
+              {creating ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Creating...
+                </>
+              ) : (
+                "Create Resume"
+              )}
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -5,8 +5,8 @@ import { useForm, Controller } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import {
   AlertTriangle,
-  Download,
   Edit,
+  FileInput,
   Loader2,
   Monitor,
   Save,
@@ -17,28 +17,52 @@ import { Button } from "@/components/ui/button";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Textarea } from "@/components/ui/textarea";
 import { Input } from "@/components/ui/input";
-import { saveResume } from "@/actions/resume";
+import { saveResume, updateResumeTheme } from "@/actions/resume";
 import { EntryForm } from "./entry-form";
+import VersionHistory from "./version-history";
+import ImportDialog from "./import-dialog";
+import AtsPanel from "./ats-panel";
+import ResumePreview from "./resume-preview";
+import ThemePanel from "./theme-panel";
 import useFetch from "@/hooks/use-fetch";
+import ExportMenu from "@/components/export-menu";
 import { useUser } from "@clerk/nextjs";
 import { entriesToMarkdown } from "@/app/lib/helper";
 import { resumeSchema } from "@/app/lib/schema";
-import html2pdf from "html2pdf.js/dist/html2pdf.min.js";
+import { resolveTheme } from "@/lib/resume-theme";
 
-export default function ResumeBuilder({ initialContent }) {
+// Imported entries replace existing ones with the same title and organization
+// (so re-importing edited markdown updates them) and are appended otherwise
+const mergeEntries = (existing, imported) => {
+  const key = (entry) => `${entry.title}@${entry.organization}`.toLowerCase();
+  const importedKeys = new Set(imported.map(key));
+  return [
+    ...existing.filter((entry) => !importedKeys.has(key(entry))),
+    ...imported,
+  ];
+};
+
+export default function ResumeBuilder({ resume }) {
+  const initialContent = resume.content;
   const [activeTab, setActiveTab] = useState("edit");
   const [previewContent, setPreviewContent] = useState(initialContent);
   const { user } = useUser();
   const [resumeMode, setResumeMode] = useState("preview");
+  const [importText, setImportText] = useState(null);
+  const [theme, setTheme] = useState(resolveTheme(resume.theme));
 
   const {
     control,
     register,
     handleSubmit,
     watch,
+    reset,
+    getValues,
+    setValue,
     formState: { errors },
   } = useForm({
     resolver: zodResolver(resumeSchema),
+    // Rehydrate from the last save so the Form tab isn't empty on return
     defaultValues: {
       contactInfo: {},
       summary: "",
@@ -46,6 +70,7 @@ export default function ResumeBuilder({ initialContent }) {
       experience: [],
       education: [],
       projects: [],
+      ...resume.formData,
     },
   });
 
@@ -56,6 +81,13 @@ export default function ResumeBuilder({ initialContent }) {
     error: saveError,
   } = useFetch(saveResume);
 
+  const { fn: updateResumeThemeFn } = useFetch(updateResumeTheme);
+
+  const handleThemeChange = (newTheme) => {
+    setTheme(newTheme);
+    updateResumeThemeFn(resume.id, newTheme);
+  };
+
   // Watch form fields for preview updates
   const formValues = watch();
 
@@ -84,11 +116,10 @@ export default function ResumeBuilder({ initialContent }) {
   const getContactMarkdown = () => {
     const { contactInfo } = formValues;
     const parts = [];
-    if (contactInfo.email) parts.push(`📧 ${contactInfo.email}`);
-    if (contactInfo.mobile) parts.push(`📱 ${contactInfo.mobile}`);
-    if (contactInfo.linkedin)
-      parts.push(`💼 [LinkedIn](${contactInfo.linkedin})`);
-    if (contactInfo.twitter) parts.push(`🐦 [Twitter](${contactInfo.twitter})`);
+    if (contactInfo.email) parts.push(contactInfo.email);
+    if (contactInfo.mobile) parts.push(contactInfo.mobile);
+    if (contactInfo.linkedin) parts.push(`[LinkedIn](${contactInfo.linkedin})`);
+    if (contactInfo.twitter) parts.push(`[Twitter](${contactInfo.twitter})`);
 
     return parts.length > 0
       ? `## <div align="center">${user.fullName}</div>
@@ -98,38 +129,42 @@ export default function ResumeBuilder({ initialContent }) {
 
   const getCombinedContent = () => {
     const { summary, skills, experience, education, projects } = formValues;
+    const sections = {
+      summary: summary && `## Professional Summary\n\n${summary}`,
+      skills: skills && `## Skills\n\n${skills}`,
+      experience: entriesToMarkdown(experience, "Work Experience"),
+      education: entriesToMarkdown(education, "Education"),
+      projects: entriesToMarkdown(projects, "Projects"),
+    };
     return [
       getContactMarkdown(),
-      summary && `## Professional Summary\n\n${summary}`,
-      skills && `## Skills\n\n${skills}`,
-      entriesToMarkdown(experience, "Work Experience"),
-      entriesToMarkdown(education, "Education"),
-      entriesToMarkdown(projects, "Projects"),
+      ...theme.sectionOrder.map((key) => sections[key]),
     ]
       .filter(Boolean)
       .join("\n\n");
   };
 
-  const [isGenerating, setIsGenerating] = useState(false);
+  const handleImport = (imported) => {
+    const { contactInfo, summary, skills } = imported;
 
-  const generatePDF = async () => {
-    setIsGenerating(true);
-    try {
-      const element = document.getElementById("resume-pdf");
-      const opt = {
-        margin: [15, 15],
-        filename: "resume.pdf",
-        image: { type: "jpeg", quality: 0.98 },
-        html2canvas: { scale: 2 },
-        jsPDF: { unit: "mm", format: "a4", orientation: "portrait" },
-      };
-
-      await html2pdf().set(opt).from(element).save();
-    } catch (error) {
-      console.error("PDF generation error:", error);
-    } finally {
-      setIsGenerating(false);
+    if (contactInfo) {
+      const found = Object.entries(contactInfo).filter(([, value]) => value);
+      setValue("contactInfo", {
+        ...getValues("contactInfo"),
+        ...Object.fromEntries(found),
+      });
     }
+    if (summary) setValue("summary", summary);
+    if (skills) setValue("skills", skills);
+
+    ["experience", "education", "projects"].forEach((section) => {
+      if (imported[section].length) {
+        setValue(section, mergeEntries(getValues(section), imported[section]));
+      }
+    });
+
+    setActiveTab("edit");
+    toast.success("Imported, review the entries in the form");
   };
 
   const onSubmit = async (data) => {
@@ -140,7 +175,10 @@ export default function ResumeBuilder({ initialContent }) {
         .trim();
 
       console.log(previewContent, formattedContent);
-      await saveResumeFn(previewContent);
+      await saveResumeFn(resume.id, {
+        content: previewContent,
+        formData: data,
+      });
     } catch (error) {
       console.error("Save error:", error);
     }
@@ -149,10 +187,21 @@ export default function ResumeBuilder({ initialContent }) {
   return (
     <div data-color-mode="light" className="space-y-4">
       <div className="flex flex-col md:flex-row justify-between items-center gap-2">
-        <h1 className="font-bold gradient-title text-5xl md:text-6xl">
-          Resume Builder
-        </h1>
+        <div>
+          <h1 className="font-bold gradient-title text-5xl md:text-6xl">
+            {resume.title}
+          </h1>
+          <p className="text-muted-foreground">
+            {resume.parent
+              ? `Tailored from ${resume.parent.title}`
+              : "Master resume"}
+          </p>
+        </div>
         <div className="space-x-2">
+          <Button variant="outline" onClick={() => setImportText("")}>
+            <FileInput className="h-4 w-4" />
+            Import
+          </Button>
           <Button
             variant="destructive"
             onClick={handleSubmit(onSubmit)}
@@ -170,19 +219,11 @@ export default function ResumeBuilder({ initialContent }) {
               </>
             )}
           </Button>
-          <Button onClick={generatePDF} disabled={isGenerating}>
-            {isGenerating ? (
-              <>
-                <Loader2 className="h-4 w-4 animate-spin" />
-                Generating PDF...
-              </>
-            ) : (
-              <>
-                <Download className="h-4 w-4" />
-                Download PDF
-              </>
-            )}
-          </Button>
+          <ExportMenu
+            type="resume"
+            id={resume.id}
+            disabled={!(saveResult?.content ?? resume.content)}
+          />
         </div>
       </div>
 
@@ -190,6 +231,9 @@ export default function ResumeBuilder({ initialContent }) {
         <TabsList>
           <TabsTrigger value="edit">Form</TabsTrigger>
           <TabsTrigger value="preview">Markdown</TabsTrigger>
+          <TabsTrigger value="design">Design</TabsTrigger>
+          <TabsTrigger value="history">History</TabsTrigger>
+          <TabsTrigger value="ats">ATS Check</TabsTrigger>
         </TabsList>
 
         <TabsContent value="edit">
@@ -363,57 +407,103 @@ export default function ResumeBuilder({ initialContent }) {
 
         <TabsContent value="preview">
           {activeTab === "preview" && (
-            <Button
-              variant="link"
-              type="button"
-              className="mb-2"
-              onClick={() =>
-                setResumeMode(resumeMode === "preview" ? "edit" : "preview")
-              }
-            >
-              {resumeMode === "preview" ? (
-                <>
-                  <Edit className="h-4 w-4" />
-                  Edit Resume
-                </>
-              ) : (
-                <>
-                  <Monitor className="h-4 w-4" />
-                  Show Preview
-                </>
+            <div className="flex items-center justify-between">
+              <Button
+                variant="link"
+                type="button"
+                className="mb-2"
+                onClick={() =>
+                  setResumeMode(resumeMode === "preview" ? "edit" : "preview")
+                }
+              >
+                {resumeMode === "preview" ? (
+                  <>
+                    <Edit className="h-4 w-4" />
+                    Edit Resume
+                  </>
+                ) : (
+                  <>
+                    <Monitor className="h-4 w-4" />
+                    Show Preview
+                  </>
+                )}
+              </Button>
+              {resumeMode !== "preview" && (
+                <Button
+                  variant="link"
+                  type="button"
+                  className="mb-2"
+                  onClick={() => setImportText(previewContent ?? "")}
+                >
+                  <FileInput className="h-4 w-4" />
+                  Load Markdown into Form
+                </Button>
               )}
-            </Button>
+            </div>
           )}
 
           {activeTab === "preview" && resumeMode !== "preview" && (
             <div className="flex p-3 gap-2 items-center border-2 border-yellow-600 text-yellow-600 rounded mb-2">
               <AlertTriangle className="h-5 w-5" />
               <span className="text-sm">
-                You will lose editied markdown if you update the form data.
+                You will lose editied markdown if you update the form data. Use
+                &quot;Load Markdown into Form&quot; to keep your edits.
               </span>
             </div>
           )}
-          <div className="border rounded-lg">
-            <MDEditor
-              value={previewContent}
-              onChange={setPreviewContent}
-              height={800}
-              preview={resumeMode}
-            />
-          </div>
-          <div className="hidden">
-            <div id="resume-pdf">
-              <MDEditor.Markdown
-                source={previewContent}
-                style={{
-                  background: "white",
-                  color: "black",
-                }}
+          {resumeMode === "preview" ? (
+            <ResumePreview content={previewContent} theme={theme} />
+          ) : (
+            <div className="border rounded-lg">
+              <MDEditor
+                value={previewContent}
+                onChange={setPreviewContent}
+                height={800}
+                preview="edit"
               />
             </div>
+          )}
+        </TabsContent>
+
+        <TabsContent value="design">
+          <div className="grid gap-4 md:grid-cols-[300px_1fr] items-start">
+            <ThemePanel theme={theme} onChange={handleThemeChange} />
+            <ResumePreview content={previewContent} theme={theme} />
           </div>
         </TabsContent>
+
+        <TabsContent value="history">
+          <VersionHistory
+            resumeId={resume.id}
+            currentContent={previewContent}
+            lastSavedAt={saveResult?.updatedAt}
+            isSaving={isSaving}
+            onSaveVersion={(label) =>
+              saveResumeFn(resume.id, {
+                content: previewContent,
+                formData: getValues(),
+                label,
+              })
+            }
+            onRestore={(restored) => {
+              if (restored.formData) reset(restored.formData);
+              setPreviewContent(restored.content);
+              setActiveTab("preview");
+            }}
+          />
+        </TabsContent>
+
+        <TabsContent value="ats">
+          <AtsPanel resume={resume} />
+        </TabsContent>
       </Tabs>
+
+      <ImportDialog
+        open={importText !== null}
+        onOpenChange={(open) => !open && setImportText(null)}
+        initialText={importText ?? ""}
+        onImport={handleImport}
+      />
     </div>
   );
 }
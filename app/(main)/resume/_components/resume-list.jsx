@@ -0,0 +1,132 @@
+"use client";
+
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { Eye, GitFork, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import {
+  Card,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import { deleteResume } from "@/actions/resume";
+
+export default function ResumeList({ resumes }) {
+  const router = useRouter();
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteResume(id);
+      toast.success("Resume deleted successfully!");
+      router.refresh();
+    } catch (error) {
+      toast.error(error.message || "Failed to delete resume");
+    }
+  };
+
+  if (!resumes?.length) {
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle>No Resumes Yet</CardTitle>
+          <CardDescription>
+            Create your first resume to get started
+          </CardDescription>
+        </CardHeader>
+      </Card>
+    );
+  }
+
+  // Masters first, each followed by the copies tailored from it
+  const masters = resumes.filter((resume) => !resume.parentId);
+  const tailoredFor = (id) =>
+    resumes.filter((resume) => resume.parentId === id);
+
+  const renderCard = (resume, parent) => (
+    <Card key={resume.id} className={parent ? "ml-8" : undefined}>
+      <CardHeader>
+        <div className="flex items-start justify-between">
+          <div>
+            <CardTitle className="text-xl gradient-title">
+              {resume.title}
+            </CardTitle>
+            <CardDescription>
+              {parent ? `Tailored from ${parent.title} · ` : "Master · "}
+              Updated {format(new Date(resume.updatedAt), "PPP")}
+            </CardDescription>
+          </div>
+          <div className="flex space-x-2">
+            <AlertDialog>
+              <Button
+                variant="outline"
+                size="icon"
+                title="Open"
+                onClick={() => router.push(`/resume/${resume.id}`)}
+              >
+                <Eye className="h-4 w-4" />
+              </Button>
+              <Button
+                variant="outline"
+                size="icon"
+                title="Create tailored copy"
+                onClick={() => router.push(`/resume/new?from=${resume.id}`)}
+              >
+                <GitFork className="h-4 w-4" />
+              </Button>
+              <AlertDialogTrigger asChild>
+                <Button variant="outline" size="icon" title="Delete">
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </AlertDialogTrigger>
+              <AlertDialogContent>
+                <AlertDialogHeader>
+                  <AlertDialogTitle>Delete Resume?</AlertDialogTitle>
+                  <AlertDialogDescription>
+                    This action cannot be undone. This will permanently delete
+                    your resume &quot;{resume.title}&quot;.
+                    {!parent &&
+                      tailoredFor(resume.id).length > 0 &&
+                      " Its tailored copies will be kept as master resumes."}
+                  </AlertDialogDescription>
+                </AlertDialogHeader>
+                <AlertDialogFooter>
+                  <AlertDialogCancel>Cancel</AlertDialogCancel>
+                  <AlertDialogAction
+                    onClick={() => handleDelete(resume.id)}
+                    className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+                  >
+                    Delete
+                  </AlertDialogAction>
+                </AlertDialogFooter>
+              </AlertDialogContent>
+            </AlertDialog>
+          </div>
+        </div>
+      </CardHeader>
+    </Card>
+  );
+
+  return (
+    <div className="space-y-4">
+      {masters.map((master) => (
+        <div key={master.id} className="space-y-4">
+          {renderCard(master)}
+          {tailoredFor(master.id).map((resume) => renderCard(resume, master))}
+        </div>
+      ))}
+    </div>
+  );
+}
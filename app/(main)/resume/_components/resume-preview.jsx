@@ -0,0 +1,56 @@
+"use client";
+
+import MDEditor from "@uiw/react-md-editor";
+import {
+  SIDEBAR_SECTIONS,
+  getResumeFont,
+  splitResumeSections,
+} from "@/lib/resume-theme";
+
+const Markdown = ({ source }) => (
+  <MDEditor.Markdown
+    source={source}
+    style={{ background: "transparent", color: "inherit" }}
+  />
+);
+
+const join = (sections) =>
+  sections.map((section) => section.markdown).join("\n\n");
+
+// Renders resume markdown with its template, the same way the exports do.
+// Styles live in globals.css under .resume-preview.
+export default function ResumePreview({ content, theme }) {
+  const { header, sections } = splitResumeSections(content, theme.sectionOrder);
+
+  return (
+    <div
+      className={`resume-preview resume-${theme.template} rounded-lg border`}
+      style={{
+        "--resume-font": getResumeFont(theme.font).css,
+        "--resume-accent": theme.accentColor,
+      }}
+    >
+      {header && (
+        <div className="resume-header">
+          <Markdown source={header} />
+        </div>
+      )}
+      {theme.template === "modern" ? (
+        <div className="resume-columns">
+          <Markdown
+            source={join(
+              sections.filter(({ key }) => SIDEBAR_SECTIONS.includes(key))
+            )}
+          />
+          <Markdown
+            source={join(
+              sections.filter(({ key }) => !SIDEBAR_SECTIONS.includes(key))
+            )}
+          />
+        </div>
+      ) : (
+        <Markdown source={join(sections)} />
+      )}
+    </div>
+  );
+}
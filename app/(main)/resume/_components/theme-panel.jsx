@@ -0,0 +1,147 @@
+"use client";
+
+import { ArrowDown, ArrowUp, Check } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  ACCENT_COLORS,
+  RESUME_FONTS,
+  RESUME_SECTIONS,
+  RESUME_TEMPLATES,
+} from "@/lib/resume-theme";
+
+const sectionTitle = (key) =>
+  RESUME_SECTIONS.find((section) => section.key === key).title;
+
+export default function ThemePanel({ theme, onChange }) {
+  const update = (changes) => onChange({ ...theme, ...changes });
+
+  const moveSection = (index, offset) => {
+    const order = [...theme.sectionOrder];
+    [order[index], order[index + offset]] = [
+      order[index + offset],
+      order[index],
+    ];
+    update({ sectionOrder: order });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Design</CardTitle>
+        <CardDescription>
+          Used in the preview and in downloaded PDF and Word files
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="space-y-2">
+          <Label>Template</Label>
+          <div className="grid gap-2">
+            {RESUME_TEMPLATES.map((template) => (
+              <Button
+                key={template.value}
+                type="button"
+                variant={
+                  theme.template === template.value ? "secondary" : "outline"
+                }
+                className="h-auto justify-start text-left"
+                onClick={() => update({ template: template.value })}
+              >
+                <div>
+                  <p className="font-medium">{template.label}</p>
+                  <p className="text-xs text-muted-foreground whitespace-normal">
+                    {template.description}
+                  </p>
+                </div>
+              </Button>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="font">Font</Label>
+          <Select value={theme.font} onValueChange={(font) => update({ font })}>
+            <SelectTrigger id="font">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {RESUME_FONTS.map((font) => (
+                <SelectItem key={font.value} value={font.value}>
+                  <span style={{ fontFamily: font.css }}>{font.label}</span>
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        <div className="space-y-2">
+          <Label>Accent Color</Label>
+          <div className="flex gap-2">
+            {ACCENT_COLORS.map((color) => (
+              <button
+                key={color}
+                type="button"
+                aria-label={color}
+                className="h-8 w-8 rounded-full flex items-center justify-center"
+                style={{ backgroundColor: color }}
+                onClick={() => update({ accentColor: color })}
+              >
+                {theme.accentColor === color && (
+                  <Check className="h-4 w-4 text-white" />
+                )}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <Label>Section Order</Label>
+          <div className="space-y-1">
+            {theme.sectionOrder.map((key, index) => (
+              <div
+                key={key}
+                className="flex items-center justify-between rounded-md border px-3 py-1 text-sm"
+              >
+                {sectionTitle(key)}
+                <div>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    disabled={index === 0}
+                    onClick={() => moveSection(index, -1)}
+                  >
+                    <ArrowUp className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    disabled={index === theme.sectionOrder.length - 1}
+                    onClick={() => moveSection(index, 1)}
+                  >
+                    <ArrowDown className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,167 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { GitCompare, History, Loader2, RotateCcw, Save } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { getResumeVersions, restoreResumeVersion } from "@/actions/resume";
+import useFetch from "@/hooks/use-fetch";
+import DiffView from "@/components/diff-view";
+import { cn } from "@/lib/utils";
+
+export default function VersionHistory({
+  resumeId,
+  currentContent,
+  lastSavedAt,
+  isSaving,
+  onSaveVersion,
+  onRestore,
+}) {
+  const [label, setLabel] = useState("");
+  const [compareVersion, setCompareVersion] = useState(null);
+
+  const {
+    loading: loadingVersions,
+    fn: fetchVersions,
+    data: versions,
+  } = useFetch(getResumeVersions);
+
+  const {
+    loading: isRestoring,
+    fn: restoreVersionFn,
+    data: restoredResume,
+  } = useFetch(restoreResumeVersion);
+
+  // Reload after every save, including the ones made from the toolbar
+  useEffect(() => {
+    fetchVersions(resumeId);
+  }, [resumeId, lastSavedAt]);
+
+  useEffect(() => {
+    if (restoredResume && !isRestoring) {
+      toast.success("Version restored!");
+      onRestore(restoredResume);
+      setCompareVersion(null);
+      fetchVersions(resumeId);
+    }
+  }, [restoredResume, isRestoring]);
+
+  const handleSaveVersion = async () => {
+    await onSaveVersion(label.trim());
+    setLabel("");
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-2">
+        <Input
+          placeholder="Label this version (optional), e.g. Before AI rewrite"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+        />
+        <Button type="button" onClick={handleSaveVersion} disabled={isSaving}>
+          {isSaving ? (
+            <Loader2 className="h-4 w-4 animate-spin" />
+          ) : (
+            <Save className="h-4 w-4" />
+          )}
+          Save Version
+        </Button>
+      </div>
+
+      {loadingVersions && !versions && (
+        <Loader2 className="h-4 w-4 animate-spin" />
+      )}
+
+      {versions && !versions.length && (
+        <Card>
+          <CardHeader>
+            <CardTitle>No Versions Yet</CardTitle>
+            <CardDescription>
+              Every time you save, a new version is added here
+            </CardDescription>
+          </CardHeader>
+        </Card>
+      )}
+
+      <div className="space-y-2">
+        {versions?.map((version, i) => (
+          <div
+            key={version.id}
+            className={cn(
+              "flex items-center justify-between gap-2 border rounded-lg p-3",
+              compareVersion?.id === version.id && "bg-muted/50"
+            )}
+          >
+            <div className="flex items-center gap-2">
+              <History className="h-4 w-4 text-muted-foreground" />
+              <div>
+                <p className="text-sm font-medium">
+                  {version.label || "Saved version"}
+                  {i === 0 && (
+                    <span className="text-muted-foreground"> (latest)</span>
+                  )}
+                </p>
+                <p className="text-xs text-muted-foreground">
+                  {format(new Date(version.createdAt), "PPp")}
+                </p>
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() =>
+                  setCompareVersion(
+                    compareVersion?.id === version.id ? null : version
+                  )
+                }
+              >
+                <GitCompare className="h-4 w-4" />
+                Compare
+              </Button>
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => restoreVersionFn(version.id)}
+                disabled={isRestoring}
+              >
+                <RotateCcw className="h-4 w-4" />
+                Restore
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {compareVersion && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">
+              {compareVersion.label || "Saved version"} vs. current editor
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <DiffView
+              oldText={compareVersion.content}
+              newText={currentContent}
+              oldLabel={format(new Date(compareVersion.createdAt), "PPp")}
+              newLabel="Current"
+            />
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
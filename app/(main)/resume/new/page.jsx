@@ -0,0 +1,32 @@
+import Link from "next/link";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { getResumes } from "@/actions/resume";
+import NewResumeForm from "../_components/new-resume-form";
+
+export default async function NewResumePage({ searchParams }) {
+  const { from } = await searchParams;
+  const resumes = await getResumes();
+
+  return (
+    <div className="container mx-auto py-6">
+      <div className="flex flex-col space-y-2">
+        <Link href="/resume">
+          <Button variant="link" className="gap-2 pl-0">
+            <ArrowLeft className="h-4 w-4" />
+            Back to Resumes
+          </Button>
+        </Link>
+
+        <div className="pb-6">
+          <h1 className="text-6xl font-bold gradient-title">Create Resume</h1>
+          <p className="text-muted-foreground">
+            Start from scratch or tailor a copy of an existing resume
+          </p>
+        </div>
+      </div>
+
+      <NewResumeForm resumes={resumes} defaultParentId={from} />
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import { auth } from "@clerk/nextjs/server";
+import { db } from "@/lib/prisma";
+import { renderPdf } from "@/lib/export/pdf";
+import { renderDocx } from "@/lib/export/docx";
+import { exportFilename } from "@/lib/export/markdown";
+
+// GET /api/export/resume/<id>?format=pdf|docx
+// GET /api/export/cover-letter/<id>?format=pdf|docx
+// Exports the last saved content, rendered on the server.
+
+const FORMATS = {
+  pdf: { render: renderPdf, contentType: "application/pdf" },
+  docx: {
+    render: renderDocx,
+    contentType:
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  },
+};
+
+async function findDocument(type, id, userId) {
+  if (type === "resume") {
+    const resume = await db.resume.findUnique({ where: { id, userId } });
+    return (
+      resume && {
+        title: resume.title,
+        content: resume.content,
+        theme: resume.theme ?? {},
+      }
+    );
+  }
+  if (type === "cover-letter") {
+    const coverLetter = await db.coverLetter.findUnique({
+      where: { id, userId },
+    });
+    return (
+      coverLetter && {
+        title: `Cover Letter ${coverLetter.companyName} ${coverLetter.jobTitle}`,
+        content: coverLetter.content,
+      }
+    );
+  }
+  return null;
+}
+
+export async function GET(request, { params }) {
+  const { userId } = await auth();
+  if (!userId) return new Response("Unauthorized", { status: 401 });
+
+  const user = await db.user.findUnique({ where: { clerkUserId: userId } });
+  if (!user) return new Response("User not found", { status: 404 });
+
+  const { type, id } = await params;
+  const format = new URL(request.url).searchParams.get("format") ?? "pdf";
+  if (!FORMATS[format]) {
+    return new Response("Unsupported format", { status: 400 });
+  }
+
+  const document = await findDocument(type, id, user.id);
+  if (!document) return new Response("Not found", { status: 404 });
+
+  try {
+    const { render, contentType } = FORMATS[format];
+    const file = await render(document.content, {
+      title: document.title,
+      theme: document.theme,
+    });
+
+    return new Response(file, {
+      headers: {
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="${exportFilename(
+          document.title,
+          format
+        )}"`,
+      },
+    });
+  } catch (error) {
+    console.error("Error exporting document:", error);
+    return new Response("Failed to export document", { status: 500 });
+  }
+}
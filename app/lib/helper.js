@@ -1,3 +1,5 @@
+import { diffLines } from "diff";
+
 // Helper function to convert entries to markdown
 export function entriesToMarkdown(entries, type) {
   if (!entries?.length) return "";
@@ -14,3 +16,48 @@ export function entriesToMarkdown(entries, type) {
       .join("\n\n")
   );
 }
+
+// Line diff laid out as side-by-side rows. A removed block followed by an
+// added block is paired line by line as "changed"; a missing side is null.
+export function sideBySideDiff(oldText, newText) {
+  const toLines = (value) => value.replace(/\n$/, "").split("\n");
+  const parts = diffLines(oldText ?? "", newText ?? "");
+  const rows = [];
+
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+
+    if (!part.added && !part.removed) {
+      toLines(part.value).forEach((line) =>
+        rows.push({ type: "unchanged", left: line, right: line })
+      );
+      continue;
+    }
+
+    let removed = [];
+    let added = [];
+    if (part.removed) {
+      removed = toLines(part.value);
+      if (parts[i + 1]?.added) added = toLines(parts[++i].value);
+    } else {
+      added = toLines(part.value);
+    }
+
+    for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+      const left = removed[j] ?? null;
+      const right = added[j] ?? null;
+      rows.push({
+        type:
+          left !== null && right !== null
+            ? "changed"
+            : left !== null
+            ? "removed"
+            : "added",
+        left,
+        right,
+      });
+    }
+  }
+
+  return rows;
+}
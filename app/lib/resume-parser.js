@@ -0,0 +1,173 @@
+import { format, isValid, parse } from "date-fns";
+
+// Parses resume markdown (the format the builder emits, or anything close to
+// it) back into builder form values. Anything it can't place is returned in
+// `unmatched` so the caller can decide whether to fall back to AI parsing.
+
+const SECTION_PATTERNS = [
+  ["summary", /summary|profile|about|objective/i],
+  ["skills", /skill|technolog|competenc|expertise/i],
+  ["experience", /experience|employment|work history|career/i],
+  ["education", /education|academic|qualification/i],
+  ["projects", /project/i],
+];
+
+// Year-only dates are left as they are rather than guessing a month
+const DATE_FORMATS = ["MMM yyyy", "MMMM yyyy", "MM/yyyy", "yyyy-MM"];
+
+const DATE_RANGE =
+  /^\**\s*([A-Za-z]{3,9}\.? \d{4}|\d{1,2}\/\d{4}|\d{4}-\d{2}|\d{4})\s*(?:-|–|—|to)\s*([A-Za-z]{3,9}\.? \d{4}|\d{1,2}\/\d{4}|\d{4}-\d{2}|\d{4}|present|current|now)\s*\**$/i;
+
+// In priority order, so "Engineer, Backend @ Acme" splits on the "@"
+const TITLE_SEPARATORS = [" @ ", " at ", " | ", " – ", " — ", " - ", ", "];
+
+const stripMarkdown = (text) =>
+  text
+    .replace(/<[^>]+>/g, "")
+    .replace(/\*\*|__|`/g, "")
+    .trim();
+
+// Display dates are stored as "MMM yyyy", the same as EntryForm produces
+export function normalizeDate(value) {
+  const cleaned = value.replace(".", "").trim();
+  for (const pattern of DATE_FORMATS) {
+    const date = parse(cleaned, pattern, new Date());
+    if (isValid(date)) return format(date, "MMM yyyy");
+  }
+  return cleaned;
+}
+
+function parseContact(markdown) {
+  const find = (regex) => markdown.match(regex)?.[0] ?? "";
+
+  return {
+    email: find(/[\w.+-]+@[\w-]+\.[\w.-]+/),
+    mobile: find(/\+?\d[\d\s().-]{7,}\d/).trim(),
+    linkedin: find(/https?:\/\/(?:www\.)?linkedin\.com\/[^\s)|]+/i),
+    twitter: find(/https?:\/\/(?:www\.)?(?:twitter|x)\.com\/[^\s)|]+/i),
+  };
+}
+
+function splitTitle(heading) {
+  const text = stripMarkdown(heading);
+  const separator = TITLE_SEPARATORS.find((sep) => text.includes(sep));
+  if (!separator) return [text, ""];
+
+  const index = text.indexOf(separator);
+  return [text.slice(0, index), text.slice(index + separator.length)];
+}
+
+function parseEntry(heading, body) {
+  const [title, organization] = splitTitle(heading);
+  const lines = body.split("\n");
+  const dateIndex = lines.findIndex((line) => line.trim());
+  const dateMatch = lines[dateIndex]?.trim().match(DATE_RANGE);
+
+  const current = /present|current|now/i.test(dateMatch?.[2] ?? "");
+  const description = (dateMatch ? lines.slice(dateIndex + 1) : lines)
+    .join("\n")
+    .trim();
+
+  return {
+    title: title.trim(),
+    organization: organization.trim(),
+    startDate: dateMatch ? normalizeDate(dateMatch[1]) : "",
+    endDate: dateMatch && !current ? normalizeDate(dateMatch[2]) : "",
+    description,
+    current,
+  };
+}
+
+const findSection = (heading) =>
+  SECTION_PATTERNS.find(([, pattern]) =>
+    pattern.test(stripMarkdown(heading))
+  )?.[0];
+
+// Sections are the shallowest headings that name a known section, so both
+// "## Skills / ### Role" (what the builder emits) and "# Skills / ## Role" work
+function detectSectionLevel(markdown) {
+  for (let level = 1; level <= 3; level++) {
+    const headings = markdown.match(new RegExp(`^#{${level}}\\s+.*$`, "gm"));
+    if (headings?.some((line) => findSection(line.replace(/^#+\s+/, "")))) {
+      return level;
+    }
+  }
+  return 2;
+}
+
+function splitByHeading(markdown, level) {
+  const heading = new RegExp(`^#{${level}}\\s+(.*)$`);
+  const blocks = [];
+  let current = { heading: null, lines: [] };
+
+  for (const line of markdown.split("\n")) {
+    const match = line.match(heading);
+    if (match) {
+      blocks.push(current);
+      current = { heading: match[1], lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  blocks.push(current);
+
+  return blocks.map((block) => ({
+    heading: block.heading,
+    body: block.lines.join("\n").trim(),
+  }));
+}
+
+export function parseResumeMarkdown(markdown) {
+  const result = {
+    contactInfo: {},
+    summary: "",
+    skills: "",
+    experience: [],
+    education: [],
+    projects: [],
+    unmatched: [],
+  };
+
+  // Contact details live outside the known sections (the header block), so
+  // date ranges elsewhere aren't mistaken for phone numbers
+  const headerText = [];
+
+  const sectionLevel = detectSectionLevel(markdown);
+
+  for (const { heading, body } of splitByHeading(markdown, sectionLevel)) {
+    if (!heading) {
+      headerText.push(body);
+      continue;
+    }
+
+    const section = findSection(heading);
+
+    if (section === "summary" || section === "skills") {
+      result[section] = body;
+    } else if (section) {
+      const entries = splitByHeading(body, sectionLevel + 1).filter(
+        (entry) => entry.heading
+      );
+      result[section] = entries.map((entry) =>
+        parseEntry(entry.heading, entry.body)
+      );
+    } else if (/<div/i.test(heading)) {
+      // The builder puts the name in an HTML heading, followed by contacts
+      headerText.push(body);
+    } else {
+      result.unmatched.push(heading);
+    }
+  }
+
+  result.contactInfo = parseContact(headerText.join("\n"));
+  return result;
+}
+
+export const hasParsedContent = (parsed) =>
+  !!(
+    parsed.summary ||
+    parsed.skills ||
+    parsed.experience.length ||
+    parsed.education.length ||
+    parsed.projects.length
+  );
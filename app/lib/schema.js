@@ -1,4 +1,24 @@
 import { z } from "zod";
+import {
+  RESUME_FONTS,
+  RESUME_SECTIONS,
+  RESUME_TEMPLATES,
+} from "@/lib/resume-theme";
+import {
+  COVER_LETTER_LANGUAGES,
+  COVER_LETTER_LENGTHS,
+  COVER_LETTER_STRUCTURES,
+  COVER_LETTER_TONES,
+} from "@/lib/cover-letter-options";
+import { APPLICATION_STAGES } from "@/lib/application-stages";
+import {
+  INTERVIEW_CATEGORIES,
+  QUIZ_DIFFICULTIES,
+  QUIZ_MODES,
+  SESSION_LENGTHS,
+} from "@/lib/interview-options";
+import { COMPETENCIES } from "@/lib/star-stories";
+import { parsedResumeSchema } from "@/lib/ai/schemas";
 
 export const onboardingSchema = z.object({
   industry: z.string({
@@ -65,8 +85,119 @@ export const resumeSchema = z.object({
   projects: z.array(entrySchema),
 });
 
-export const coverLetterSchema = z.object({
+// A save from the builder. Versions can be saved before the form passes
+// resumeSchema, so the form values are only checked for shape.
+export const savedResumeSchema = z.object({
+  content: z.string(),
+  formData: parsedResumeSchema.nullish(),
+  label: z.string().trim().max(100).optional(),
+});
+
+export const newResumeSchema = z.object({
+  title: z.string().trim().min(1, "Title is required"),
+  parentId: z.string().optional(),
+});
+
+export const resumeThemeSchema = z.object({
+  template: z.enum(RESUME_TEMPLATES.map((template) => template.value)),
+  font: z.enum(RESUME_FONTS.map((font) => font.value)),
+  accentColor: z.string().regex(/^#[0-9a-f]{6}$/i, "Invalid color"),
+  sectionOrder: z.array(z.enum(RESUME_SECTIONS.map((section) => section.key))),
+});
+
+export const coverLetterSchema = z
+  .object({
+    companyName: z.string().min(1, "Company name is required"),
+    jobTitle: z.string().min(1, "Job title is required"),
+    jobDescription: z.string().min(1, "Job description is required"),
+    tone: z.enum(COVER_LETTER_TONES.map((tone) => tone.value)),
+    length: z.enum(COVER_LETTER_LENGTHS.map((length) => length.value)),
+    language: z.enum(COVER_LETTER_LANGUAGES),
+    structure: z.enum(
+      COVER_LETTER_STRUCTURES.map((structure) => structure.value)
+    ),
+    referrerName: z.string().optional(),
+    resumeId: z.string().optional(),
+    achievementIds: z.array(z.string()).default([]),
+    storyIds: z.array(z.string()).default([]),
+  })
+  .refine(
+    (data) => data.structure !== "referral" || data.referrerName?.trim(),
+    {
+      message: "Who referred you is required for a referral letter",
+      path: ["referrerName"],
+    }
+  );
+
+// Letters are about a page; the cap only keeps abuse out of the database and
+// the AI prompts
+const COVER_LETTER_MAX_LENGTH = 20000;
+
+// Not trimmed, so saved letters and selected passages match the editor exactly
+const letterContent = z
+  .string()
+  .max(COVER_LETTER_MAX_LENGTH)
+  .refine((content) => content.trim().length > 0);
+
+export const coverLetterContentSchema = z.object({ content: letterContent });
+
+export const coverLetterRevisionSchema = z.object({
+  content: letterContent,
+  instruction: z.string().max(500),
+  selection: z.string().max(COVER_LETTER_MAX_LENGTH).optional(),
+});
+
+export const applicationSchema = z.object({
   companyName: z.string().min(1, "Company name is required"),
   jobTitle: z.string().min(1, "Job title is required"),
-  jobDescription: z.string().min(1, "Job description is required"),
+  jobDescription: z.string().optional(),
+  jobUrl: z.string().url("Must be a valid URL").optional().or(z.literal("")),
+  stage: z.enum(APPLICATION_STAGES.map((stage) => stage.value)),
+  resumeId: z.string().optional(),
+  coverLetterId: z.string().optional(),
+  notes: z.string().optional(),
+});
+
+export const quizOptionsSchema = z.object({
+  mode: z.enum(QUIZ_MODES.map((mode) => mode.value)),
+  category: z.enum(INTERVIEW_CATEGORIES.map((category) => category.value)),
+  difficulty: z.enum(QUIZ_DIFFICULTIES.map((difficulty) => difficulty.value)),
+  timed: z.boolean().default(false),
+  // Every question tests this topic, for practicing a weak spot
+  topic: z.string().trim().max(100).optional(),
+});
+
+export const interviewSessionSchema = z.object({
+  jobTitle: z.string().min(1, "Role is required"),
+  companyName: z.string().optional(),
+  category: z.enum(INTERVIEW_CATEGORIES.map((category) => category.value)),
+  questionCount: z
+    .number()
+    .refine((count) =>
+      SESSION_LENGTHS.some((length) => length.value === count)
+    ),
+  resumeId: z.string().optional(),
+  // Set when practicing for a tracked job application
+  applicationId: z.string().optional(),
+});
+
+export const storySchema = z.object({
+  title: z.string().min(1, "Title is required"),
+  prompt: z.string().optional(),
+  competencies: z
+    .array(z.enum(COMPETENCIES))
+    .min(1, "Pick at least one competency"),
+  situation: z.string().min(1, "Situation is required"),
+  task: z.string().min(1, "Task is required"),
+  action: z.string().min(1, "Action is required"),
+  result: z.string().min(1, "Result is required"),
+});
+
+// A story sent for critique, which may not be finished yet
+export const storyDraftSchema = z.object({
+  prompt: z.string().optional(),
+  situation: z.string().default(""),
+  task: z.string().default(""),
+  action: z.string().default(""),
+  result: z.string().default(""),
 });
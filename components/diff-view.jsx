@@ -0,0 +1,38 @@
+import { sideBySideDiff } from "@/app/lib/helper";
+import { cn } from "@/lib/utils";
+
+const rowStyles = {
+  unchanged: ["", ""],
+  changed: ["bg-red-500/10", "bg-green-500/10"],
+  removed: ["bg-red-500/10", "bg-muted/50"],
+  added: ["bg-muted/50", "bg-green-500/10"],
+};
+
+// Line-by-line comparison of two markdown documents, old on the left
+export default function DiffView({ oldText, newText, oldLabel, newLabel }) {
+  return (
+    <>
+      <div className="grid grid-cols-2 text-xs font-medium text-muted-foreground pb-2">
+        <span>{oldLabel}</span>
+        <span>{newLabel}</span>
+      </div>
+      <div className="border rounded-lg overflow-x-auto font-mono text-xs">
+        {sideBySideDiff(oldText, newText).map((row, i) => (
+          <div key={i} className="grid grid-cols-2 divide-x">
+            {[row.left, row.right].map((line, side) => (
+              <pre
+                key={side}
+                className={cn(
+                  "px-2 py-0.5 whitespace-pre-wrap break-words min-h-[1.25rem]",
+                  rowStyles[row.type][side]
+                )}
+              >
+                {line}
+              </pre>
+            ))}
+          </div>
+        ))}
+      </div>
+    </>
+  );
+}
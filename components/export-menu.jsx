@@ -0,0 +1,41 @@
+"use client";
+
+import { ChevronDown, Download, FileText, FileType } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+
+// Download menu for /api/export. `type` is "resume" or "cover-letter".
+export default function ExportMenu({ type, id, disabled }) {
+  const href = (format) => `/api/export/${type}/${id}?format=${format}`;
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button disabled={disabled}>
+          <Download className="h-4 w-4" />
+          Download
+          <ChevronDown className="h-4 w-4" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-44">
+        <DropdownMenuItem asChild>
+          <a href={href("pdf")} download className="flex items-center gap-2">
+            <FileText className="h-4 w-4" />
+            PDF
+          </a>
+        </DropdownMenuItem>
+        <DropdownMenuItem asChild>
+          <a href={href("docx")} download className="flex items-center gap-2">
+            <FileType className="h-4 w-4" />
+            Word (.docx)
+          </a>
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
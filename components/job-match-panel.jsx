@@ -0,0 +1,123 @@
+"use client";
+
+import {
+  CheckCircle2,
+  CircleDashed,
+  Loader2,
+  Search,
+  XCircle,
+} from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { analyzeJobMatch } from "@/actions/job-match";
+import useFetch from "@/hooks/use-fetch";
+
+const GROUPS = [
+  {
+    key: "matched",
+    label: "Matched",
+    icon: CheckCircle2,
+    color: "text-green-500",
+  },
+  {
+    key: "partial",
+    label: "Partially matched",
+    icon: CircleDashed,
+    color: "text-yellow-500",
+  },
+  { key: "missing", label: "Missing", icon: XCircle, color: "text-red-500" },
+];
+
+// Keyword gap between a job description and the user's skills and resume.
+// Used on /ai-cover-letter/new and in the resume builder.
+export default function JobMatchPanel({ jobDescription, resumeId }) {
+  const {
+    loading: isAnalyzing,
+    fn: analyzeJobMatchFn,
+    data: match,
+  } = useFetch(analyzeJobMatch);
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-start justify-between gap-2">
+          <div>
+            <CardTitle>Skill Match</CardTitle>
+            <CardDescription>
+              {match
+                ? `${match.score}% match with your profile skills${
+                    match.resumeTitle ? ` and "${match.resumeTitle}"` : ""
+                  }`
+                : "See which of the job's skills your profile and resume cover"}
+            </CardDescription>
+          </div>
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => analyzeJobMatchFn({ jobDescription, resumeId })}
+            disabled={!jobDescription?.trim() || isAnalyzing}
+          >
+            {isAnalyzing ? (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            ) : (
+              <Search className="h-4 w-4" />
+            )}
+            {match ? "Re-analyze" : "Analyze"}
+          </Button>
+        </div>
+      </CardHeader>
+
+      {match && (
+        <CardContent className="space-y-4">
+          {GROUPS.map(
+            ({ key, label, icon: Icon, color }) =>
+              match[key].length > 0 && (
+                <div key={key} className="space-y-2">
+                  <p className="flex items-center gap-2 text-sm font-medium">
+                    <Icon className={`h-4 w-4 ${color}`} />
+                    {label} ({match[key].length})
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    {match[key].map((item) => (
+                      <Badge
+                        key={item.skill}
+                        variant={
+                          item.importance === "required"
+                            ? "secondary"
+                            : "outline"
+                        }
+                        title={
+                          item.foundIn.length
+                            ? `Found in your ${item.foundIn.join(" and ")}`
+                            : item.importance
+                        }
+                      >
+                        {item.skill}
+                      </Badge>
+                    ))}
+                  </div>
+                  {key !== "matched" && (
+                    <ul className="list-disc pl-5 text-sm text-muted-foreground">
+                      {match[key].map((item) => (
+                        <li key={item.skill}>{item.suggestion}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )
+          )}
+          <p className="text-xs text-muted-foreground">
+            Filled badges are required skills, outlined ones are preferred.
+          </p>
+        </CardContent>
+      )}
+    </Card>
+  );
+}
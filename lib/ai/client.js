@@ -0,0 +1,53 @@
+import { createGeminiProvider } from "./providers/gemini";
+import { createOpenAIProvider } from "./providers/openai";
+import { createLocalProvider } from "./providers/local";
+
+const providers = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+};
+
+const defaultModels = {
+  gemini: "gemini-1.5-flash",
+  openai: "gpt-4o-mini",
+  local: "local",
+};
+
+const cache = new Map();
+
+// "coverLetter" -> "COVER_LETTER"
+const toEnvKey = (feature) =>
+  feature.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+
+/**
+ * Returns the model configured for a feature. Resolution order:
+ * AI_PROVIDER_<FEATURE> / AI_MODEL_<FEATURE>, then AI_PROVIDER / AI_MODEL,
+ * then Gemini with the provider's default model.
+ *
+ * Features: "insights", "quiz", "openEndedQuiz", "answerEvaluation",
+ * "starCritique", "mockInterviewer", "interviewReport", "improvementTip",
+ * "resume", "resumeImport", "jobMatch", "coverLetter", "coverLetterRevision"
+ */
+export function getModel(feature) {
+  if (cache.has(feature)) return cache.get(feature);
+
+  const key = toEnvKey(feature);
+  const featureProvider = process.env[`AI_PROVIDER_${key}`];
+  const providerName = featureProvider || process.env.AI_PROVIDER || "gemini";
+  const createProvider = providers[providerName];
+
+  if (!createProvider) {
+    throw new Error(`Unknown AI provider "${providerName}"`);
+  }
+
+  // A global AI_MODEL only applies when the provider is the global one too
+  const model =
+    process.env[`AI_MODEL_${key}`] ||
+    (!featureProvider && process.env.AI_MODEL) ||
+    defaultModels[providerName];
+
+  const provider = createProvider({ model, feature });
+  cache.set(feature, provider);
+  return provider;
+}
@@ -0,0 +1,12 @@
+// Thrown when a model reply cannot be turned into the structure we asked for,
+// even after repair attempts. `reason` is "invalid_json" or "schema_mismatch".
+export class AIOutputError extends Error {
+  constructor(message, { feature, reason, issues = [], rawText } = {}) {
+    super(message);
+    this.name = "AIOutputError";
+    this.feature = feature;
+    this.reason = reason;
+    this.issues = issues;
+    this.rawText = rawText;
+  }
+}
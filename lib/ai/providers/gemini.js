@@ -0,0 +1,15 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+export function createGeminiProvider({ model }) {
+  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  const client = genAI.getGenerativeModel({ model });
+
+  return {
+    name: "gemini",
+    model,
+    async generateText(prompt) {
+      const result = await client.generateContent(prompt);
+      return result.response.text();
+    },
+  };
+}
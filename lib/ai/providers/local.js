@@ -0,0 +1,192 @@
+// Deterministic provider for tests and offline development. It never touches
+// the network and always returns the same canned reply for a given feature.
+
+const insights = {
+  salaryRanges: [
+    {
+      role: "Junior Engineer",
+      min: 60000,
+      max: 85000,
+      median: 72000,
+      location: "Remote",
+    },
+    {
+      role: "Software Engineer",
+      min: 85000,
+      max: 125000,
+      median: 105000,
+      location: "Remote",
+    },
+    {
+      role: "Senior Engineer",
+      min: 120000,
+      max: 170000,
+      median: 145000,
+      location: "Remote",
+    },
+    {
+      role: "Engineering Manager",
+      min: 150000,
+      max: 210000,
+      median: 180000,
+      location: "Remote",
+    },
+    {
+      role: "Product Manager",
+      min: 110000,
+      max: 160000,
+      median: 135000,
+      location: "Remote",
+    },
+  ],
+  growthRate: 8.5,
+  demandLevel: "High",
+  topSkills: [
+    "Communication",
+    "Problem Solving",
+    "Cloud Platforms",
+    "Data Analysis",
+    "Project Management",
+  ],
+  marketOutlook: "Positive",
+  keyTrends: [
+    "AI adoption",
+    "Remote work",
+    "Automation",
+    "Cloud migration",
+    "Data privacy",
+  ],
+  recommendedSkills: [
+    "Machine Learning",
+    "Cloud Architecture",
+    "Leadership",
+    "Cybersecurity",
+    "Data Engineering",
+  ],
+};
+
+const topics = ["Fundamentals", "Problem Solving", "Tooling"];
+
+const quiz = {
+  questions: Array.from({ length: 10 }, (_, i) => ({
+    question: `Sample interview question ${i + 1}: which option is correct?`,
+    topic: topics[i % 3],
+    options: ["Option A", "Option B", "Option C", "Option D"],
+    correctAnswer: ["Option A", "Option B", "Option C", "Option D"][i % 4],
+    explanation: `Option ${
+      "ABCD"[i % 4]
+    } is the correct answer for sample question ${i + 1}.`,
+  })),
+};
+
+const openEndedQuiz = {
+  questions: Array.from({ length: 5 }, (_, i) => ({
+    question: `Sample open-ended interview question ${
+      i + 1
+    }: walk me through your approach.`,
+    topic: topics[i % 3],
+    keyPoints: ["Clarifies the problem", "Explains trade-offs"],
+  })),
+};
+
+const answerEvaluation = {
+  scores: { correctness: 4, depth: 3, structure: 4, communication: 4 },
+  feedback:
+    "A clear answer with a sensible approach. Add a concrete example to show depth.",
+  modelAnswer:
+    "I would start by clarifying the goal and constraints, outline two options with their trade-offs, pick one and explain how I would validate it.",
+};
+
+const starCritique = {
+  parts: {
+    situation: {
+      rating: 4,
+      feedback: "Clear context in a couple of sentences.",
+    },
+    task: { rating: 3, feedback: "Say what you personally owned." },
+    action: { rating: 4, feedback: "Good first-person steps." },
+    result: { rating: 3, feedback: "Quantify the outcome if you can." },
+  },
+  overall:
+    "A solid story. Tighten the task and put a number on the result to make it memorable.",
+  suggestedCompetencies: ["Problem Solving", "Ownership"],
+};
+
+const interviewReport = {
+  summary:
+    "A confident conversation with relevant examples. Answers were strongest when they ended with a clear outcome.",
+  strengths: ["Clear communication", "Relevant examples from past work"],
+  weaknesses: ["Results are rarely quantified", "Some answers run long"],
+  tip: "Close each answer with a measurable result in one sentence.",
+  answers: Array.from({ length: 10 }, () => ({
+    score: 75,
+    feedback:
+      "A relevant answer. Finish with the outcome and what you learned.",
+  })),
+};
+
+const coverLetter = `Dear Hiring Manager,
+
+I am excited to apply for this position. My background and skills align closely with the requirements described in the job posting, and I would welcome the opportunity to contribute to your team.
+
+Thank you for your time and consideration.
+
+Sincerely,
+Your Name`;
+
+const parsedResume = {
+  contactInfo: {
+    email: "jane@example.com",
+    mobile: "",
+    linkedin: "",
+    twitter: "",
+  },
+  summary: "Engineer with experience building web applications.",
+  skills: "JavaScript, React, Node.js",
+  experience: [
+    {
+      title: "Software Engineer",
+      organization: "Example Corp",
+      startDate: "Jan 2021",
+      endDate: "",
+      description: "Built and maintained customer-facing features.",
+      current: true,
+    },
+  ],
+  education: [],
+  projects: [],
+};
+
+const fixtures = {
+  insights: () => JSON.stringify(insights),
+  quiz: () => JSON.stringify(quiz),
+  openEndedQuiz: () => JSON.stringify(openEndedQuiz),
+  answerEvaluation: () => JSON.stringify(answerEvaluation),
+  starCritique: () => JSON.stringify(starCritique),
+  mockInterviewer: () =>
+    "Thanks. Can you walk me through a recent project you're proud of and the part you played in it?",
+  interviewReport: () => JSON.stringify(interviewReport),
+  coverLetter: () => coverLetter,
+  coverLetterRevision: () => coverLetter,
+  resumeImport: () => JSON.stringify(parsedResume),
+  jobMatch: () =>
+    JSON.stringify({
+      required: ["JavaScript", "React", "REST APIs"],
+      preferred: ["TypeScript", "AWS"],
+    }),
+  resume: () =>
+    "Led a cross-functional initiative that improved delivery speed by 25% while maintaining quality.",
+  improvementTip: () =>
+    "Review the fundamentals behind the topics you found tricky and practice explaining them out loud.",
+};
+
+export function createLocalProvider({ feature }) {
+  return {
+    name: "local",
+    model: "local",
+    async generateText() {
+      const fixture = fixtures[feature];
+      return fixture ? fixture() : `Local response for "${feature}".`;
+    },
+  };
+}
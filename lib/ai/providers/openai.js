@@ -0,0 +1,35 @@
+// Works with any endpoint that speaks the OpenAI chat completions API
+// (OpenAI, Azure OpenAI, Ollama, vLLM, LM Studio, ...)
+export function createOpenAIProvider({ model }) {
+  const baseUrl = (
+    process.env.OPENAI_BASE_URL || "https://api.openai.com/v1"
+  ).replace(/\/$/, "");
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  return {
+    name: "openai",
+    model,
+    async generateText(prompt) {
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: "user", content: prompt }],
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(
+          `OpenAI-compatible request failed with status ${response.status}`
+        );
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content ?? "";
+    },
+  };
+}
@@ -0,0 +1,130 @@
+import { z } from "zod";
+
+// Shapes we expect back from JSON-producing prompts
+
+export const industryInsightsSchema = z.object({
+  salaryRanges: z
+    .array(
+      z.object({
+        role: z.string(),
+        min: z.number(),
+        max: z.number(),
+        median: z.number(),
+        location: z.string().optional(),
+      })
+    )
+    .min(1),
+  growthRate: z.number(),
+  demandLevel: z.enum(["High", "Medium", "Low"]),
+  topSkills: z.array(z.string()).min(1),
+  marketOutlook: z.enum(["Positive", "Neutral", "Negative"]),
+  keyTrends: z.array(z.string()).min(1),
+  recommendedSkills: z.array(z.string()).min(1),
+});
+
+export const quizQuestionSchema = z
+  .object({
+    question: z.string().min(1),
+    // Skill or subject the question tests, e.g. "React hooks"
+    topic: z.string().min(1).optional(),
+    options: z.array(z.string().min(1)).length(4),
+    correctAnswer: z.string().min(1),
+    explanation: z.string().min(1),
+  })
+  .refine((q) => q.options.includes(q.correctAnswer), {
+    message: "correctAnswer must be one of the options",
+    path: ["correctAnswer"],
+  });
+
+export const quizSchema = z.object({
+  questions: z.array(quizQuestionSchema).min(1),
+});
+
+export const openEndedQuizSchema = z.object({
+  questions: z
+    .array(
+      z.object({
+        question: z.string().min(1),
+        topic: z.string().min(1).optional(),
+        keyPoints: z.array(z.string().min(1)).min(1),
+      })
+    )
+    .min(1),
+});
+
+const rubricScore = z.number().int().min(1).max(5);
+
+export const answerEvaluationSchema = z.object({
+  scores: z.object({
+    correctness: rubricScore,
+    depth: rubricScore,
+    structure: rubricScore,
+    communication: rubricScore,
+  }),
+  feedback: z.string().min(1),
+  modelAnswer: z.string().min(1),
+});
+
+export const interviewReportSchema = z.object({
+  summary: z.string().min(1),
+  strengths: z.array(z.string().min(1)).min(1),
+  weaknesses: z.array(z.string().min(1)).min(1),
+  tip: z.string().min(1),
+  // One per candidate answer, in order
+  answers: z
+    .array(
+      z.object({
+        score: z.number().min(0).max(100),
+        feedback: z.string().min(1),
+      })
+    )
+    .min(1),
+});
+
+const parsedEntrySchema = z.object({
+  title: z.string(),
+  organization: z.string(),
+  startDate: z.string(),
+  endDate: z.string().default(""),
+  description: z.string(),
+  current: z.boolean().default(false),
+});
+
+// Looser than the builder's resumeSchema: the user reviews and fixes entries
+// before they are added to the form
+export const parsedResumeSchema = z.object({
+  contactInfo: z
+    .object({
+      email: z.string().default(""),
+      mobile: z.string().default(""),
+      linkedin: z.string().default(""),
+      twitter: z.string().default(""),
+    })
+    .default({}),
+  summary: z.string().default(""),
+  skills: z.string().default(""),
+  experience: z.array(parsedEntrySchema).default([]),
+  education: z.array(parsedEntrySchema).default([]),
+  projects: z.array(parsedEntrySchema).default([]),
+});
+
+export const jobSkillsSchema = z.object({
+  required: z.array(z.string().min(1)),
+  preferred: z.array(z.string().min(1)).default([]),
+});
+
+const starPartCritique = z.object({
+  rating: z.number().int().min(1).max(5),
+  feedback: z.string().min(1),
+});
+
+export const starCritiqueSchema = z.object({
+  parts: z.object({
+    situation: starPartCritique,
+    task: starPartCritique,
+    action: starPartCritique,
+    result: starPartCritique,
+  }),
+  overall: z.string().min(1),
+  suggestedCompetencies: z.array(z.string()).default([]),
+});
@@ -0,0 +1,86 @@
+import { getModel } from "./client";
+import { AIOutputError } from "./errors";
+
+const extractJSON = (text) => {
+  const cleaned = text.replace(/```(?:json)?\n?/g, "").trim();
+  const start = cleaned.search(/[[{]/);
+  const end = Math.max(cleaned.lastIndexOf("}"), cleaned.lastIndexOf("]"));
+  return start === -1 || end < start ? cleaned : cleaned.slice(start, end + 1);
+};
+
+const formatIssues = (issues) =>
+  issues
+    .map((issue) => `- ${issue.path.join(".") || "(root)"}: ${issue.message}`)
+    .join("\n");
+
+function parseReply(text, schema) {
+  let json;
+  try {
+    json = JSON.parse(extractJSON(text));
+  } catch (error) {
+    return {
+      reason: "invalid_json",
+      issues: [],
+      problem: `The reply was not valid JSON (${error.message}).`,
+    };
+  }
+
+  const result = schema.safeParse(json);
+  if (result.success) return { data: result.data };
+
+  return {
+    reason: "schema_mismatch",
+    issues: result.error.issues,
+    problem: `The JSON did not match the required format:\n${formatIssues(
+      result.error.issues
+    )}`,
+  };
+}
+
+const buildRepairPrompt = (prompt, reply, problem) => `
+    ${prompt}
+
+    Your previous reply could not be used. ${problem}
+
+    Previous reply:
+    ${reply}
+
+    Return ONLY the corrected JSON in the requested format. No additional text, notes, or markdown formatting.
+  `;
+
+/**
+ * Generates a reply for `feature` and validates it against a zod schema.
+ * Invalid replies are sent back to the model with a repair prompt up to
+ * `retries` times before an AIOutputError is thrown.
+ */
+export async function generateStructured(
+  feature,
+  prompt,
+  schema,
+  { retries = 2 } = {}
+) {
+  const model = getModel(feature);
+  let currentPrompt = prompt;
+  let failure;
+  let text;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    text = await model.generateText(currentPrompt);
+    const result = parseReply(text, schema);
+    if (result.data) return result.data;
+
+    failure = result;
+    console.warn(
+      `Invalid ${feature} reply (attempt ${attempt + 1}/${retries + 1}):`,
+      result.problem
+    );
+    currentPrompt = buildRepairPrompt(prompt, text, result.problem);
+  }
+
+  throw new AIOutputError(`AI returned an unusable ${feature} response`, {
+    feature,
+    reason: failure.reason,
+    issues: failure.issues,
+    rawText: text,
+  });
+}
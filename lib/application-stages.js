@@ -0,0 +1,27 @@
+// Job application pipeline, in board order. Applications can move freely
+// between stages; rejected is kept as a column so past applications stay
+// visible.
+
+export const APPLICATION_STAGES = [
+  { value: "saved", label: "Saved", color: "bg-muted text-muted-foreground" },
+  { value: "applied", label: "Applied", color: "bg-blue-500/15 text-blue-500" },
+  {
+    value: "screening",
+    label: "Screening",
+    color: "bg-cyan-500/15 text-cyan-500",
+  },
+  {
+    value: "interviewing",
+    label: "Interviewing",
+    color: "bg-purple-500/15 text-purple-500",
+  },
+  { value: "offer", label: "Offer", color: "bg-green-500/15 text-green-500" },
+  { value: "rejected", label: "Rejected", color: "bg-red-500/15 text-red-500" },
+];
+
+// Stages where interview practice is worth suggesting
+export const INTERVIEW_STAGES = ["screening", "interviewing"];
+
+export const getStage = (value) =>
+  APPLICATION_STAGES.find((stage) => stage.value === value) ??
+  APPLICATION_STAGES[0];
@@ -0,0 +1,192 @@
+import { parseResumeMarkdown } from "@/app/lib/resume-parser";
+import { containsKeyword, extractKeywords } from "./keywords";
+
+// Rule-based ATS score. Each check scores 0-100 and the total is their
+// weighted average; keyword coverage only counts when a job description is
+// given. The AI commentary in analyzeResume builds on this breakdown.
+
+const WEIGHTS = {
+  keywords: 30,
+  sections: 25,
+  quantified: 20,
+  readability: 15,
+  length: 10,
+};
+
+const ACTION_VERBS = new Set(
+  `achieved analyzed architected automated built collaborated created cut
+  decreased delivered designed developed drove enabled established grew
+  implemented improved increased launched led managed mentored migrated
+  optimized owned planned reduced redesigned resolved saved scaled shipped
+  spearheaded streamlined trained`.split(/\s+/)
+);
+
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+const plainText = (markdown) =>
+  markdown
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[#*_`>|]/g, " ");
+
+// Description lines of experience and project entries, without bullets
+const achievementLines = (parsed) =>
+  [...parsed.experience, ...parsed.projects]
+    .flatMap((entry) => entry.description.split("\n"))
+    .map((line) => line.replace(/^\s*[-*•]\s*/, "").trim())
+    .filter(Boolean);
+
+function checkKeywords(content, jobDescription) {
+  const keywords = extractKeywords(jobDescription, 20);
+  const matched = keywords.filter((kw) => containsKeyword(content, kw));
+  const missing = keywords.filter((kw) => !matched.includes(kw));
+  const coverage = keywords.length ? matched.length / keywords.length : 1;
+
+  return {
+    score: clamp(coverage * 100),
+    details: `${matched.length} of ${keywords.length} job description keywords found`,
+    suggestions: missing.length
+      ? [
+          `Work these terms in where they are true for you: ${missing
+            .slice(0, 8)
+            .join(", ")}`,
+        ]
+      : [],
+    matched,
+    missing,
+  };
+}
+
+function checkSections(parsed) {
+  const checks = [
+    ["Contact email", !!parsed.contactInfo.email],
+    ["Professional summary", !!parsed.summary],
+    ["Skills", !!parsed.skills],
+    ["Work experience", parsed.experience.length > 0],
+    ["Education", parsed.education.length > 0],
+  ];
+  const missing = checks
+    .filter(([, present]) => !present)
+    .map(([name]) => name);
+
+  return {
+    score: clamp(((checks.length - missing.length) / checks.length) * 100),
+    details: `${checks.length - missing.length} of ${
+      checks.length
+    } standard sections present`,
+    suggestions: missing.map((name) => `Add ${name.toLowerCase()}`),
+  };
+}
+
+function checkQuantified(parsed) {
+  const lines = achievementLines(parsed);
+  const quantified = lines.filter((line) => /\d|%|\$/.test(line));
+  const ratio = lines.length ? quantified.length / lines.length : 0;
+
+  // Half of all achievement lines carrying a number is a strong resume
+  return {
+    score: clamp((ratio / 0.5) * 100),
+    details: `${quantified.length} of ${lines.length} achievement lines include numbers`,
+    suggestions:
+      ratio < 0.5
+        ? [
+            'Quantify achievements with numbers, percentages or amounts (e.g. "cut load time by 40%")',
+          ]
+        : [],
+  };
+}
+
+function checkReadability(parsed, text) {
+  const sentences = text
+    .split(/[.!?\n]+/)
+    .map((sentence) => sentence.trim().split(/\s+/).filter(Boolean))
+    .filter((words) => words.length > 2);
+  const avgLength = sentences.length
+    ? sentences.reduce((sum, words) => sum + words.length, 0) / sentences.length
+    : 0;
+
+  const bullets = achievementLines(parsed);
+  const actionLed = bullets.filter((line) =>
+    ACTION_VERBS.has(line.split(/\s+/)[0].toLowerCase())
+  );
+  const actionRatio = bullets.length ? actionLed.length / bullets.length : 0;
+
+  // Sentences of up to ~22 words read well; penalize each word beyond that
+  const lengthScore = avgLength <= 22 ? 100 : 100 - (avgLength - 22) * 5;
+  const suggestions = [];
+  if (avgLength > 22)
+    suggestions.push("Shorten long sentences, aim for under 22 words each");
+  if (actionRatio < 0.5)
+    suggestions.push(
+      "Start achievement lines with action verbs like led, built or improved"
+    );
+
+  return {
+    score: clamp(lengthScore * 0.6 + actionRatio * 100 * 0.4),
+    details: `Average sentence length ${Math.round(avgLength)} words, ${
+      actionLed.length
+    } of ${bullets.length} lines start with an action verb`,
+    suggestions,
+  };
+}
+
+function checkLength(text) {
+  const words = text.split(/\s+/).filter(Boolean).length;
+
+  // 400-800 words is roughly one to two pages
+  let score = 100;
+  if (words < 400) score = (words / 400) * 100;
+  if (words > 800) score = 100 - ((words - 800) / 800) * 100;
+
+  const suggestions = [];
+  if (words < 400) suggestions.push("Add more detail, the resume looks thin");
+  if (words > 800)
+    suggestions.push(
+      "Trim older or less relevant content to keep it to two pages"
+    );
+
+  return {
+    score: clamp(score),
+    details: `${words} words`,
+    suggestions,
+  };
+}
+
+/**
+ * Scores resume markdown, optionally against a job description.
+ * Returns { score, components: [{ key, label, weight, score, details, suggestions }], keywords }
+ */
+export function scoreResume(content, jobDescription) {
+  const parsed = parseResumeMarkdown(content);
+  const text = plainText(content);
+
+  const checks = [
+    ["sections", "Section completeness", checkSections(parsed)],
+    ["quantified", "Quantified achievements", checkQuantified(parsed)],
+    ["readability", "Readability", checkReadability(parsed, text)],
+    ["length", "Length", checkLength(text)],
+  ];
+
+  let keywords = null;
+  if (jobDescription?.trim()) {
+    const result = checkKeywords(content, jobDescription);
+    keywords = { matched: result.matched, missing: result.missing };
+    checks.unshift(["keywords", "Keyword coverage", result]);
+  }
+
+  const components = checks.map(([key, label, result]) => ({
+    key,
+    label,
+    weight: WEIGHTS[key],
+    score: result.score,
+    details: result.details,
+    suggestions: result.suggestions,
+  }));
+
+  const totalWeight = components.reduce((sum, c) => sum + c.weight, 0);
+  const score = clamp(
+    components.reduce((sum, c) => sum + c.score * c.weight, 0) / totalWeight
+  );
+
+  return { score, components, keywords };
+}
@@ -0,0 +1,110 @@
+// Generation options for cover letters. They are stored on the letter so a
+// regeneration uses the same settings. `prompt` is the instruction given to
+// the model for each choice.
+
+export const COVER_LETTER_TONES = [
+  {
+    value: "professional",
+    label: "Professional",
+    prompt: "professional and confident",
+  },
+  {
+    value: "enthusiastic",
+    label: "Enthusiastic",
+    prompt: "warm and enthusiastic, while staying professional",
+  },
+  {
+    value: "formal",
+    label: "Formal",
+    prompt: "formal and reserved, suited to traditional industries",
+  },
+  {
+    value: "conversational",
+    label: "Conversational",
+    prompt: "friendly and conversational, like a startup introduction",
+  },
+];
+
+export const COVER_LETTER_LENGTHS = [
+  { value: "short", label: "Short (~150 words)", words: 150 },
+  { value: "medium", label: "Medium (~250 words)", words: 250 },
+  { value: "long", label: "Long (~400 words)", words: 400 },
+];
+
+export const COVER_LETTER_LANGUAGES = [
+  "English",
+  "Arabic",
+  "Dutch",
+  "French",
+  "German",
+  "Italian",
+  "Portuguese",
+  "Spanish",
+];
+
+export const COVER_LETTER_STRUCTURES = [
+  {
+    value: "classic",
+    label: "Classic letter",
+    prompt:
+      "Use a classic business letter structure: greeting, an opening paragraph, one or two body paragraphs, a closing paragraph and a sign-off.",
+  },
+  {
+    value: "email",
+    label: "Short email",
+    prompt:
+      "Write it as a short email: a subject line, a brief greeting, two or three short paragraphs and a sign-off. No address or date block.",
+  },
+  {
+    value: "referral",
+    label: "Referral",
+    prompt:
+      "Open by saying the candidate was referred by {referrerName} and build the letter around that connection.",
+  },
+];
+
+export const DEFAULT_COVER_LETTER_OPTIONS = {
+  tone: "professional",
+  length: "medium",
+  language: "English",
+  structure: "classic",
+};
+
+const find = (list, value) =>
+  list.find((option) => option.value === value) ?? list[0];
+
+/**
+ * Turns stored options into prompt instructions. Letters created before
+ * options existed get the defaults.
+ */
+export function coverLetterInstructions(options) {
+  const { tone, length, language, structure, referrerName } = {
+    ...DEFAULT_COVER_LETTER_OPTIONS,
+    ...options,
+  };
+
+  return {
+    tone: find(COVER_LETTER_TONES, tone).prompt,
+    words: find(COVER_LETTER_LENGTHS, length).words,
+    language,
+    structure: find(COVER_LETTER_STRUCTURES, structure).prompt.replace(
+      "{referrerName}",
+      referrerName || "a current employee"
+    ),
+  };
+}
+
+/** e.g. "Professional · Medium (~250 words) · English · Classic letter" */
+export function describeCoverLetterOptions(options) {
+  const { tone, length, language, structure } = {
+    ...DEFAULT_COVER_LETTER_OPTIONS,
+    ...options,
+  };
+
+  return [
+    find(COVER_LETTER_TONES, tone).label,
+    find(COVER_LETTER_LENGTHS, length).label,
+    language,
+    find(COVER_LETTER_STRUCTURES, structure).label,
+  ].join(" · ");
+}
@@ -0,0 +1,44 @@
+// Cover letter lifecycle. Every transition is appended to the letter's
+// `statusHistory` as { status, at }.
+
+export const COVER_LETTER_STATUSES = [
+  { value: "draft", label: "Draft", color: "bg-muted text-muted-foreground" },
+  { value: "ready", label: "Ready", color: "bg-blue-500/15 text-blue-500" },
+  { value: "sent", label: "Sent", color: "bg-purple-500/15 text-purple-500" },
+  {
+    value: "responded",
+    label: "Response Received",
+    color: "bg-green-500/15 text-green-500",
+  },
+  {
+    value: "archived",
+    label: "Archived",
+    color: "bg-muted text-muted-foreground line-through",
+  },
+];
+
+// Where each status can move next. Archived letters can be brought back to
+// any stage.
+const TRANSITIONS = {
+  draft: ["ready", "archived"],
+  ready: ["draft", "sent", "archived"],
+  sent: ["responded", "archived"],
+  responded: ["archived"],
+  archived: ["draft", "ready", "sent", "responded"],
+};
+
+export const getStatus = (value) =>
+  COVER_LETTER_STATUSES.find((status) => status.value === value) ??
+  COVER_LETTER_STATUSES[0];
+
+export const nextStatuses = (value) =>
+  (TRANSITIONS[value] ?? TRANSITIONS.draft).map(getStatus);
+
+export const canTransition = (from, to) =>
+  (TRANSITIONS[from] ?? TRANSITIONS.draft).includes(to);
+
+/** When the letter last entered `status`, or null if it never did */
+export const statusChangedAt = (letter, status = letter.status) =>
+  [...(letter.statusHistory ?? [])]
+    .reverse()
+    .find((entry) => entry.status === status)?.at ?? null;
@@ -0,0 +1,227 @@
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  ExternalHyperlink,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  Table,
+  TableBorders,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} from "docx";
+import { parseMarkdown } from "./markdown";
+import {
+  SIDEBAR_SECTIONS,
+  getResumeFont,
+  resolveTheme,
+  splitResumeSections,
+} from "@/lib/resume-theme";
+
+// Word export built from the same parsed markdown as the PDF, using real
+// headings and bullet lists so the document stays editable.
+
+const MARGIN = 850; // twips, ~15mm
+const PAGE_WIDTH = 11906 - MARGIN * 2; // A4
+const GUTTER = 360;
+const HEADING = {
+  1: HeadingLevel.HEADING_1,
+  2: HeadingLevel.HEADING_2,
+  3: HeadingLevel.HEADING_3,
+  4: HeadingLevel.HEADING_4,
+  5: HeadingLevel.HEADING_5,
+  6: HeadingLevel.HEADING_6,
+};
+
+// Sizes in half-points, matching the PDF layouts
+const LAYOUTS = {
+  classic: {
+    body: 21,
+    heading: { 1: 40, 2: 28, 3: 24 },
+    after: 120,
+    headerAlign: "center",
+  },
+  modern: {
+    body: 20,
+    heading: { 1: 44, 2: 26, 3: 22 },
+    after: 120,
+    headerAlign: "left",
+  },
+  compact: {
+    body: 19,
+    heading: { 1: 34, 2: 24, 3: 21 },
+    after: 40,
+    headerAlign: "center",
+  },
+};
+
+const alignment = (align) =>
+  align === "center" ? AlignmentType.CENTER : AlignmentType.LEFT;
+
+const toChildren = (runs, format = {}) =>
+  runs.map((run) =>
+    run.link
+      ? new ExternalHyperlink({
+          link: run.link,
+          children: [
+            new TextRun({
+              ...format,
+              text: run.text,
+              style: "Hyperlink",
+              bold: run.bold,
+              italics: run.italic,
+            }),
+          ],
+        })
+      : new TextRun({
+          ...format,
+          text: run.text,
+          bold: format.bold || run.bold,
+          italics: run.italic,
+        })
+  );
+
+function toParagraphs(block, { style, align }) {
+  switch (block.type) {
+    case "heading":
+      return [
+        new Paragraph({
+          heading: HEADING[block.level],
+          alignment: alignment(align ?? block.align),
+          keepNext: true,
+          children: toChildren(block.runs, {
+            bold: true,
+            size: style.heading[block.level] ?? style.body + 1,
+            color: block.level <= 2 ? style.accent : undefined,
+          }),
+        }),
+      ];
+    case "paragraph":
+      return [
+        new Paragraph({
+          alignment: alignment(align ?? block.align),
+          spacing: { after: style.after },
+          children: toChildren(block.runs),
+        }),
+      ];
+    case "list":
+      return block.items.map(
+        (item) =>
+          new Paragraph({ bullet: { level: 0 }, children: toChildren(item) })
+      );
+    case "rule":
+      return [
+        new Paragraph({
+          border: {
+            bottom: { style: BorderStyle.SINGLE, size: 6, color: "999999" },
+          },
+        }),
+      ];
+    default:
+      return [];
+  }
+}
+
+const toBody = (markdown, options) =>
+  parseMarkdown(markdown).flatMap((block) => toParagraphs(block, options));
+
+const join = (sections) =>
+  sections.map((section) => section.markdown).join("\n\n");
+
+// Header, then either one column or a borderless two-column table
+function resumeBody(markdown, theme, style) {
+  const { header, sections } = splitResumeSections(
+    markdown,
+    theme.sectionOrder
+  );
+  const children = toBody(header, { style, align: style.headerAlign });
+
+  if (theme.template !== "modern") {
+    return [...children, ...toBody(join(sections), { style })];
+  }
+
+  const sidebarWidth = Math.round(PAGE_WIDTH * 0.3);
+  const cell = (content, width, margins) => {
+    const body = toBody(content, { style });
+    return new TableCell({
+      width: { size: width, type: WidthType.DXA },
+      margins,
+      // A cell must contain at least one paragraph
+      children: body.length ? body : [new Paragraph({})],
+    });
+  };
+
+  return [
+    ...children,
+    new Table({
+      width: { size: PAGE_WIDTH, type: WidthType.DXA },
+      columnWidths: [sidebarWidth, PAGE_WIDTH - sidebarWidth],
+      borders: TableBorders.NONE,
+      rows: [
+        new TableRow({
+          children: [
+            cell(
+              join(
+                sections.filter(({ key }) => SIDEBAR_SECTIONS.includes(key))
+              ),
+              sidebarWidth,
+              { right: GUTTER / 2 }
+            ),
+            cell(
+              join(
+                sections.filter(({ key }) => !SIDEBAR_SECTIONS.includes(key))
+              ),
+              PAGE_WIDTH - sidebarWidth,
+              { left: GUTTER / 2 }
+            ),
+          ],
+        }),
+      ],
+    }),
+  ];
+}
+
+/**
+ * Renders markdown to a DOCX buffer. Pass the resume's `theme` to lay it out
+ * with its template; without one the content is rendered as a plain letter.
+ */
+export function renderDocx(markdown, { title, theme }) {
+  const resolved = theme ? resolveTheme(theme) : null;
+  const style = {
+    ...LAYOUTS[resolved?.template ?? "classic"],
+    accent: resolved?.accentColor.replace("#", ""),
+  };
+
+  const doc = new Document({
+    title,
+    styles: {
+      default: {
+        document: {
+          run: { font: getResumeFont(resolved?.font).docx, size: style.body },
+        },
+      },
+    },
+    sections: [
+      {
+        properties: {
+          page: {
+            margin: {
+              top: MARGIN,
+              right: MARGIN,
+              bottom: MARGIN,
+              left: MARGIN,
+            },
+          },
+        },
+        children: resolved
+          ? resumeBody(markdown, resolved, style)
+          : toBody(markdown, { style }),
+      },
+    ],
+  });
+
+  return Packer.toBuffer(doc);
+}
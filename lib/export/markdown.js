@@ -0,0 +1,113 @@
+// Minimal markdown reader for exports. It understands what our resumes and
+// cover letters actually contain: headings, paragraphs, bullet lists, rules,
+// bold/italic/links, and the `<div align="center">` blocks the resume
+// builder uses for the header. Everything else is treated as plain text.
+
+const INLINE =
+  /(\*\*[^*]+\*\*|__[^_]+__|\*[^*]+\*|_[^_]+_|\[[^\]]*\]\([^)]*\))/g;
+
+/** Splits a line into runs of { text, bold, italic, link } */
+export function parseInline(text) {
+  const runs = [];
+  const cleaned = text.replace(/<[^>]+>/g, "").replace(/&nbsp;/g, " ");
+
+  for (const part of cleaned.split(INLINE)) {
+    if (!part) continue;
+
+    const link = part.match(/^\[([^\]]*)\]\(([^)]*)\)$/);
+    if (link) {
+      runs.push({ text: link[1] || link[2], link: link[2] });
+    } else if (/^(\*\*|__).+\1$/.test(part)) {
+      runs.push({ text: part.slice(2, -2), bold: true });
+    } else if (/^(\*|_).+\1$/.test(part)) {
+      runs.push({ text: part.slice(1, -1), italic: true });
+    } else {
+      runs.push({ text: part });
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Returns blocks of
+ *   { type: "heading", level, runs, align }
+ *   { type: "paragraph", runs, align }
+ *   { type: "list", items: [runs], align }
+ *   { type: "rule" }
+ */
+export function parseMarkdown(markdown) {
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let align = "left";
+
+  const flush = () => {
+    if (paragraph.length) {
+      blocks.push({
+        type: "paragraph",
+        runs: parseInline(paragraph.join(" ")),
+        align,
+      });
+      paragraph = [];
+    }
+    if (list) {
+      blocks.push(list);
+      list = null;
+    }
+  };
+
+  for (const rawLine of (markdown ?? "").split("\n")) {
+    const line = rawLine.trim();
+
+    // Center everything between <div align="center"> and </div>
+    const opensCenter = /<div[^>]*align=["']?center/i.test(line);
+    const closesDiv = /<\/div>/i.test(line);
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const bullet =
+      line.match(/^[-*+•]\s+(.*)$/) ?? line.match(/^\d+\.\s+(.*)$/);
+
+    if (heading) {
+      flush();
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        runs: parseInline(heading[2]),
+        align: opensCenter || align === "center" ? "center" : "left",
+      });
+    } else if (/^(-{3,}|\*{3,}|_{3,})$/.test(line)) {
+      flush();
+      blocks.push({ type: "rule" });
+    } else if (bullet) {
+      if (paragraph.length) flush();
+      list ??= { type: "list", items: [], align };
+      list.items.push(parseInline(bullet[1]));
+    } else if (!line || /^<\/?div[^>]*>$/i.test(line)) {
+      flush();
+    } else {
+      if (list) flush();
+      paragraph.push(line);
+    }
+
+    // Headings carry their own alignment; a div on its own line sets it
+    if (!heading) {
+      if (opensCenter) align = "center";
+      if (closesDiv) {
+        flush();
+        align = "left";
+      }
+    }
+  }
+
+  flush();
+  return blocks;
+}
+
+export const exportFilename = (title, extension) =>
+  `${
+    title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "document"
+  }.${extension}`;
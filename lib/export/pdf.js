@@ -0,0 +1,250 @@
+import PDFDocument from "pdfkit";
+import { parseMarkdown } from "./markdown";
+import {
+  SIDEBAR_SECTIONS,
+  getResumeFont,
+  resolveTheme,
+  splitResumeSections,
+} from "@/lib/resume-theme";
+
+// Text-based PDF (selectable and readable by ATS parsers) rendered from the
+// stored markdown with the standard PDF fonts.
+
+const MARGIN = 42.5; // 15mm
+const GUTTER = 18;
+const TEXT_COLOR = "#111111";
+const LINK_COLOR = "#1d4ed8";
+const RULE_COLOR = "#999999";
+
+const FONT_FACES = {
+  Helvetica: {
+    regular: "Helvetica",
+    bold: "Helvetica-Bold",
+    italic: "Helvetica-Oblique",
+    boldItalic: "Helvetica-BoldOblique",
+  },
+  Times: {
+    regular: "Times-Roman",
+    bold: "Times-Bold",
+    italic: "Times-Italic",
+    boldItalic: "Times-BoldItalic",
+  },
+  Courier: {
+    regular: "Courier",
+    bold: "Courier-Bold",
+    italic: "Courier-Oblique",
+    boldItalic: "Courier-BoldOblique",
+  },
+};
+
+// Type sizes and spacing per resume template; cover letters use "classic"
+const LAYOUTS = {
+  classic: {
+    body: 10.5,
+    heading: { 1: 20, 2: 14, 3: 12 },
+    spacing: 1,
+    headerAlign: "center",
+  },
+  modern: {
+    body: 10,
+    heading: { 1: 22, 2: 13, 3: 11 },
+    spacing: 1,
+    headerAlign: "left",
+  },
+  compact: {
+    body: 9.5,
+    heading: { 1: 17, 2: 12, 3: 10.5 },
+    spacing: 0.5,
+    headerAlign: "center",
+  },
+};
+
+// The standard fonts only cover Latin text; drop emoji instead of printing
+// garbage glyphs
+const clean = (text) =>
+  text.replace(/[\p{Extended_Pictographic}\u{FE0F}\u{200D}]/gu, "");
+
+const fontFor = (faces, run, bold) => {
+  if ((run.bold || bold) && run.italic) return faces.boldItalic;
+  if (run.bold || bold) return faces.bold;
+  if (run.italic) return faces.italic;
+  return faces.regular;
+};
+
+// Start a new page if less than `height` points are left
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+function drawRule(doc, x, width, y) {
+  doc
+    .moveTo(x, y)
+    .lineTo(x + width, y)
+    .lineWidth(0.5)
+    .strokeColor(RULE_COLOR)
+    .stroke();
+}
+
+function writeRuns(
+  doc,
+  runs,
+  { style, size, color, bold = false, ...options }
+) {
+  const visible = runs
+    .map((run) => ({ ...run, text: clean(run.text) }))
+    .filter((run) => run.text.trim());
+  if (!visible.length) return;
+
+  visible.forEach((run, i) => {
+    doc
+      .font(fontFor(style.faces, run, bold))
+      .fontSize(size)
+      .fillColor(run.link ? LINK_COLOR : color ?? TEXT_COLOR)
+      .text(i === 0 ? run.text.trimStart() : run.text, {
+        ...options,
+        link: run.link ?? null,
+        underline: !!run.link,
+        continued: i < visible.length - 1,
+      });
+  });
+}
+
+// Renders blocks into a column starting at `x`; `align` overrides the
+// alignment written in the markdown (used for template headers)
+function renderBlocks(doc, blocks, { style, x, width, align }) {
+  const { body, heading, spacing } = style;
+
+  for (const block of blocks) {
+    doc.x = x;
+
+    if (block.type === "heading") {
+      const size = heading[block.level] ?? body + 0.5;
+      const blockAlign = align ?? block.align;
+      // Keep a heading on the same page as the first lines that follow it
+      ensureSpace(doc, size * 1.5 + body * 3);
+      doc.moveDown((block.level <= 2 ? 0.6 : 0.3) * spacing);
+      writeRuns(doc, block.runs, {
+        style,
+        size,
+        color: block.level <= 2 ? style.accent : TEXT_COLOR,
+        bold: true,
+        width,
+        align: blockAlign,
+      });
+      if (block.level === 2 && blockAlign !== "center") {
+        const y = doc.y + 2;
+        drawRule(doc, x, width, y);
+        doc.y = y + 4;
+      }
+      doc.moveDown(0.2 * spacing);
+    } else if (block.type === "paragraph") {
+      ensureSpace(doc, body * 2);
+      writeRuns(doc, block.runs, {
+        style,
+        size: body,
+        width,
+        align: align ?? block.align,
+        lineGap: 2 * spacing,
+      });
+      doc.moveDown(0.5 * spacing);
+    } else if (block.type === "list") {
+      for (const item of block.items) {
+        ensureSpace(doc, body * 1.5);
+        const y = doc.y;
+        doc
+          .font(style.faces.regular)
+          .fontSize(body)
+          .fillColor(TEXT_COLOR)
+          .text("•", x + 4, y);
+        doc.y = y;
+        doc.x = x + 16;
+        writeRuns(doc, item, {
+          style,
+          size: body,
+          width: width - 16,
+          lineGap: 2 * spacing,
+        });
+        doc.moveDown(0.2 * spacing);
+      }
+      doc.moveDown(0.3 * spacing);
+    } else if (block.type === "rule") {
+      ensureSpace(doc, body);
+      drawRule(doc, x, width, doc.y);
+      doc.moveDown(0.5 * spacing);
+    }
+  }
+}
+
+/**
+ * Renders markdown to a PDF buffer. Pass the resume's `theme` to lay it out
+ * with its template; without one the content is rendered as a plain letter.
+ */
+export function renderPdf(markdown, { title, theme }) {
+  const resolved = theme ? resolveTheme(theme) : null;
+  const style = {
+    ...LAYOUTS[resolved?.template ?? "classic"],
+    faces: FONT_FACES[getResumeFont(resolved?.font).pdf],
+    accent: resolved?.accentColor ?? TEXT_COLOR,
+  };
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: MARGIN,
+    bufferPages: true,
+    info: { Title: title },
+  });
+  const width = doc.page.width - MARGIN * 2;
+  const render = (source, options) =>
+    renderBlocks(doc, parseMarkdown(source), {
+      style,
+      x: MARGIN,
+      width,
+      ...options,
+    });
+  const join = (sections) =>
+    sections.map((section) => section.markdown).join("\n\n");
+
+  if (!resolved) {
+    render(markdown);
+  } else {
+    const { header, sections } = splitResumeSections(
+      markdown,
+      resolved.sectionOrder
+    );
+    render(header, { align: style.headerAlign });
+
+    if (resolved.template === "modern") {
+      // The sidebar is short (skills, education), so both columns start on
+      // the page the header ends on and only the main column flows on
+      const top = doc.y;
+      const page = doc.bufferedPageRange().count - 1;
+      const sidebarWidth = width * 0.3;
+
+      render(
+        join(sections.filter(({ key }) => SIDEBAR_SECTIONS.includes(key))),
+        { width: sidebarWidth }
+      );
+      doc.switchToPage(page);
+      doc.y = top;
+      render(
+        join(sections.filter(({ key }) => !SIDEBAR_SECTIONS.includes(key))),
+        {
+          x: MARGIN + sidebarWidth + GUTTER,
+          width: width - sidebarWidth - GUTTER,
+        }
+      );
+    } else {
+      render(join(sections));
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+}
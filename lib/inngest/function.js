@@ -1,9 +1,6 @@
 import { db } from "@/lib/prisma";
 import { inngest } from "./client";
-import { GoogleGenerativeAI } from "@google/generative-ai";
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+import { generateAIInsights } from "@/actions/dashboard";
 
 export const generateIndustryInsights = inngest.createFunction(
   { name: "Generate Industry Insights" },
@@ -16,39 +13,13 @@ export const generateIndustryInsights = inngest.createFunction(
     });
 
     for (const { industry } of industries) {
-      const prompt = `
-          Analyze the current state of the ${industry} industry and provide insights in ONLY the following JSON format without any additional notes or explanations:
-          {
-            "salaryRanges": [
-              { "role": "string", "min": number, "max": number, "median": number, "location": "string" }
-            ],
-            "growthRate": number,
-            "demandLevel": "High" | "Medium" | "Low",
-            "topSkills": ["skill1", "skill2"],
-            "marketOutlook": "Positive" | "Neutral" | "Negative",
-            "keyTrends": ["trend1", "trend2"],
-            "recommendedSkills": ["skill1", "skill2"]
-          }
-          
-          IMPORTANT: Return ONLY the JSON. No additional text, notes, or markdown formatting.
-          Include at least 5 common roles for salary ranges.
-          Growth rate should be a percentage.
-          Include at least 5 skills and trends.
-        `;
-
-      const res = await step.ai.wrap(
-        "gemini",
-        async (p) => {
-          return await model.generateContent(p);
-        },
-        prompt
+      // Validated and repaired by generateStructured, so no parsing here
+      const insights = await step.ai.wrap(
+        `Generate ${industry} insights`,
+        generateAIInsights,
+        industry
       );
 
-      const text = res.response.candidates[0].content.parts[0].text || "";
-      const cleanedText = text.replace(/```(?:json)?\n?/g, "").trim();
-
-      const insights = JSON.parse(cleanedText);
-
       await step.run(`Update ${industry} insights`, async () => {
         await db.industryInsight.update({
           where: { industry },
@@ -0,0 +1,154 @@
+// Quiz settings picked on /interview/mock. The category value is what is
+// stored on the quiz and its assessment; `prompt` tells the model what kind of
+// questions to write and `color` is its line in the performance chart.
+
+export const INTERVIEW_CATEGORIES = [
+  {
+    value: "Technical",
+    label: "Technical",
+    color: "#3b82f6",
+    description: "Concepts, tools and problem solving in your field",
+    prompt:
+      "technical interview questions testing knowledge of concepts, tools and problem solving",
+  },
+  {
+    value: "Behavioral",
+    label: "Behavioral",
+    color: "#a855f7",
+    description: "How you have handled past work situations",
+    prompt:
+      'behavioral interview questions ("Tell me about a time..."). Each option is a possible way to answer; the correct one is the answer a strong candidate would give, and the explanation says why',
+  },
+  {
+    value: "Situational",
+    label: "Situational",
+    color: "#f59e0b",
+    description: "What you would do in hypothetical scenarios",
+    prompt:
+      "situational interview questions describing a realistic workplace scenario and asking what the candidate would do. The correct option is the most effective course of action",
+  },
+  {
+    value: "Role-Specific",
+    label: "Role-Specific",
+    color: "#10b981",
+    description: "Day-to-day responsibilities of your target role",
+    prompt:
+      "role-specific interview questions about the day-to-day responsibilities, decisions and trade-offs of a typical role in this industry",
+  },
+  {
+    value: "Company Culture",
+    label: "Company Culture",
+    color: "#ef4444",
+    description: "Values, teamwork and working style",
+    prompt:
+      "company culture fit interview questions about values, collaboration, feedback and working style. The correct option is the answer that shows self-awareness and good judgment",
+  },
+];
+
+export const QUIZ_DIFFICULTIES = [
+  {
+    value: "easy",
+    label: "Easy",
+    prompt: "entry-level, covering fundamentals",
+  },
+  {
+    value: "medium",
+    label: "Medium",
+    prompt: "mid-level, expecting practical experience",
+  },
+  {
+    value: "hard",
+    label: "Hard",
+    prompt:
+      "senior-level, with nuanced scenarios and plausible distractor options",
+  },
+  // Picks easy, medium or hard per topic from the user's past answers
+  {
+    value: "adaptive",
+    label: "Adaptive",
+    description:
+      "Sets the level of each topic from your past answers and focuses on the topics you miss",
+  },
+];
+
+export const QUIZ_MODES = [
+  {
+    value: "multiple_choice",
+    label: "Multiple Choice",
+    questionCount: 10,
+    description: "10 questions, pick the best of 4 options",
+    // Timed mode limits, in seconds
+    timeLimit: 8 * 60,
+    questionTimeLimit: 60,
+  },
+  {
+    value: "open_ended",
+    label: "Written Answers",
+    questionCount: 5,
+    description: "5 questions answered in your own words, graded by AI",
+    timeLimit: 20 * 60,
+    questionTimeLimit: 5 * 60,
+  },
+];
+
+// Written answers are scored 1-5 on each criterion
+export const RUBRIC_CRITERIA = [
+  {
+    key: "correctness",
+    label: "Correctness",
+    description: "Facts, reasoning and conclusions are accurate",
+  },
+  {
+    key: "depth",
+    label: "Depth",
+    description: "Covers the important points with concrete detail",
+  },
+  {
+    key: "structure",
+    label: "Structure",
+    description: "Ideas are ordered logically and easy to follow",
+  },
+  {
+    key: "communication",
+    label: "Communication",
+    description: "Clear, concise and appropriate for an interview",
+  },
+];
+
+export const RUBRIC_MAX_SCORE = 5;
+
+// Unfinished quizzes can be resumed until they go this long without an answer
+export const QUIZ_EXPIRY_DAYS = 7;
+
+// Written answers scoring at least this percentage count as correct
+export const PASSING_SCORE = 70;
+
+// Questions the AI interviewer asks in a chat mock interview, follow-ups
+// included, before it wraps up
+export const SESSION_LENGTHS = [
+  { value: 4, label: "Short", description: "4 questions, about 10 minutes" },
+  { value: 6, label: "Standard", description: "6 questions, about 15 minutes" },
+  { value: 10, label: "Full", description: "10 questions, about 25 minutes" },
+];
+
+export const DEFAULT_QUIZ_OPTIONS = {
+  mode: "multiple_choice",
+  category: "Technical",
+  difficulty: "adaptive",
+  timed: false,
+};
+
+export const getCategory = (value) =>
+  INTERVIEW_CATEGORIES.find((category) => category.value === value) ??
+  INTERVIEW_CATEGORIES[0];
+
+export const getDifficulty = (value) =>
+  QUIZ_DIFFICULTIES.find((difficulty) => difficulty.value === value) ??
+  QUIZ_DIFFICULTIES[1];
+
+// "1:05"
+export const formatSeconds = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+
+export const getQuizMode = (value) =>
+  QUIZ_MODES.find((mode) => mode.value === value) ?? QUIZ_MODES[0];
@@ -0,0 +1,64 @@
+// Aggregates over the questions in past assessments.
+
+// Topics answered at least this many times with accuracy below the threshold
+// count as weak
+const WEAK_TOPIC_MIN_ANSWERS = 2;
+export const WEAK_TOPIC_ACCURACY = 60;
+
+// Accuracy by topic. Quiz questions are tagged with a topic when generated;
+// questions from before tagging (and mock interview answers) have none and are
+// skipped.
+export function getTopicStats(assessments) {
+  const topics = new Map();
+
+  for (const assessment of assessments) {
+    for (const question of assessment.questions) {
+      if (!question.topic) continue;
+
+      const key = question.topic.trim().toLowerCase();
+      const stats = topics.get(key) ?? {
+        topic: question.topic.trim(),
+        category: assessment.category,
+        correct: 0,
+        total: 0,
+      };
+      stats.total += 1;
+      if (question.isCorrect) stats.correct += 1;
+      topics.set(key, stats);
+    }
+  }
+
+  return [...topics.values()]
+    .map((stats) => ({
+      ...stats,
+      accuracy: (stats.correct / stats.total) * 100,
+    }))
+    .sort((a, b) => a.accuracy - b.accuracy || b.total - a.total);
+}
+
+export const getWeakTopics = (topicStats) =>
+  topicStats.filter(
+    (stats) =>
+      stats.total >= WEAK_TOPIC_MIN_ANSWERS &&
+      stats.accuracy < WEAK_TOPIC_ACCURACY
+  );
+
+// Difficulty to ask a topic at. Accuracy is smoothed so one lucky or unlucky
+// answer doesn't swing the level.
+export function estimateLevel({ correct, total }) {
+  const smoothed = (correct + 1) / (total + 2);
+  if (smoothed < 0.5) return "easy";
+  if (smoothed < 0.8) return "medium";
+  return "hard";
+}
+
+// Mean seconds spent per question, counting only questions with a recorded
+// time; null when there are none (quizzes from before timing was recorded)
+export function getAverageTime(questions) {
+  const timed = questions.filter((question) => question.timeSpent != null);
+  if (!timed.length) return null;
+
+  return Math.round(
+    timed.reduce((sum, question) => sum + question.timeSpent, 0) / timed.length
+  );
+}
@@ -0,0 +1,132 @@
+import { generateStructured } from "@/lib/ai/structured";
+import { jobSkillsSchema } from "@/lib/ai/schemas";
+import { containsKeyword, extractKeywords, tokenize } from "./keywords";
+
+// Compares the skills a job description asks for with what the candidate
+// shows in their profile and resume. The AI only extracts the skill list;
+// matching is deterministic so results are explainable.
+
+// "React.js", "ReactJS" and "react" all normalize to "react"
+const normalize = (skill) =>
+  skill
+    .toLowerCase()
+    .replace(/\.?js$/, "")
+    .replace(/[^a-z0-9+#]/g, "");
+
+// Normalized words of a skill name, without single letters
+const wordsOf = (skill) =>
+  tokenize(skill)
+    .map(normalize)
+    .filter((word) => word.length > 1);
+
+export async function extractJobSkills(jobDescription) {
+  const prompt = `
+    Extract the skills, technologies, tools and qualifications from the following job description.
+    Separate what is required from what is preferred or "nice to have".
+
+    Return the response in this JSON format only, no additional text:
+    {
+      "required": ["string"],
+      "preferred": ["string"]
+    }
+
+    Use short canonical names (e.g. "PostgreSQL", "Kubernetes", "Stakeholder Management").
+
+    Job Description:
+    ${jobDescription}
+  `;
+
+  try {
+    return await generateStructured("jobMatch", prompt, jobSkillsSchema);
+  } catch (error) {
+    // Keyword extraction is a rougher but always-available fallback
+    console.error("Error extracting job skills, using keywords:", error);
+    return { required: extractKeywords(jobDescription, 15), preferred: [] };
+  }
+}
+
+function matchSkill(skill, { profileSkills, resumeContent }) {
+  const foundIn = [];
+  if (profileSkills.some((s) => normalize(s) === normalize(skill)))
+    foundIn.push("profile");
+  if (containsKeyword(resumeContent, skill)) foundIn.push("resume");
+  if (foundIn.length) return { status: "matched", foundIn, related: [] };
+
+  // Partial: a profile skill sharing a whole word ("Spring" for "Spring
+  // Boot"), or some of the words of a multi-word skill in the resume. Words
+  // are compared whole so "Java" doesn't match "JavaScript".
+  const skillWords = new Set(wordsOf(skill));
+  const related = profileSkills.filter((s) =>
+    wordsOf(s).some((word) => skillWords.has(word))
+  );
+
+  // Normalized resume word -> the word as written, e.g. "react" -> "reactjs"
+  const resumeWords = new Map(
+    tokenize(resumeContent).map((token) => [normalize(token), token])
+  );
+  if (resumeWords.has(normalize(skill)))
+    related.push(resumeWords.get(normalize(skill)));
+
+  const words = tokenize(skill).filter((word) => word.length > 2);
+  if (words.length > 1) {
+    related.push(
+      ...words
+        .filter((word) => resumeWords.has(normalize(word)))
+        .map((word) => resumeWords.get(normalize(word)))
+    );
+  }
+
+  return related.length
+    ? { status: "partial", foundIn: [], related: [...new Set(related)] }
+    : { status: "missing", foundIn: [], related: [] };
+}
+
+const suggestionFor = ({ skill, importance, status, related }) => {
+  if (status === "partial")
+    return `Mention "${skill}" explicitly, you currently show ${related.join(
+      ", "
+    )}`;
+  if (status === "missing" && importance === "required")
+    return `If you have experience with ${skill}, add it to your skills and describe where you used it`;
+  if (status === "missing")
+    return `${skill} is a nice-to-have, worth mentioning if it applies`;
+  return null;
+};
+
+/**
+ * Returns { matched, partial, missing, score }. Each list holds
+ * { skill, importance, status, foundIn, related, suggestion }; score is the
+ * weighted share of skills covered (required count double, partial half).
+ */
+export function matchJobSkills(
+  { required, preferred },
+  { profileSkills = [], resumeContent = "" }
+) {
+  const items = [
+    ...required.map((skill) => ({ skill, importance: "required" })),
+    ...preferred.map((skill) => ({ skill, importance: "preferred" })),
+  ].map((item) => {
+    const result = {
+      ...item,
+      ...matchSkill(item.skill, { profileSkills, resumeContent }),
+    };
+    return { ...result, suggestion: suggestionFor(result) };
+  });
+
+  const weight = (item) => (item.importance === "required" ? 2 : 1);
+  const credit = { matched: 1, partial: 0.5, missing: 0 };
+  const total = items.reduce((sum, item) => sum + weight(item), 0);
+  const earned = items.reduce(
+    (sum, item) => sum + weight(item) * credit[item.status],
+    0
+  );
+
+  const byStatus = (status) => items.filter((item) => item.status === status);
+
+  return {
+    matched: byStatus("matched"),
+    partial: byStatus("partial"),
+    missing: byStatus("missing"),
+    score: total ? Math.round((earned / total) * 100) : 0,
+  };
+}
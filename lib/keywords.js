@@ -0,0 +1,76 @@
+// Deterministic keyword extraction for matching resumes against job
+// descriptions. No AI involved, so results are stable and cheap to compute.
+
+const STOPWORDS = new Set(
+  `a about above across after again against all also am an and any are as at
+  be because been before being below between both but by can could did do does
+  doing down during each either etc few for from further had has have having he
+  her here hers him his how i if in into is it its itself just me more most my
+  no nor not now of off on once only or other our ours out over own per same
+  she should so some such than that the their them then there these they this
+  those through to too under until up us very via was we were what when where
+  which while who whom why will with within without would you your yours
+  ability able across additional apply based benefits best candidate candidates
+  company core culture day demonstrated desired duties environment equal etc
+  excellent experience familiarity good great help highly ideal including job
+  join knowledge looking make must new offer opportunity plus preferred
+  proven related required requirements responsibilities role salary seeking
+  skills strong team teams understanding using well work working year years`
+    .split(/\s+/)
+    .filter(Boolean)
+);
+
+const TOKEN = /[a-z0-9][a-z0-9+#.]*(?:[-/][a-z0-9+#.]+)*/g;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export function tokenize(text) {
+  return (text.toLowerCase().match(TOKEN) ?? []).map((token) =>
+    token.replace(/\.+$/, "")
+  );
+}
+
+const isCandidate = (token) =>
+  token.length > 1 && !STOPWORDS.has(token) && !/^\d+$/.test(token);
+
+/**
+ * Returns the most frequent meaningful terms (single words and two-word
+ * phrases such as "machine learning") in a text, most frequent first.
+ */
+export function extractKeywords(text, limit = 25) {
+  const tokens = tokenize(text ?? "");
+  const counts = new Map();
+  const bump = (term, weight) =>
+    counts.set(term, (counts.get(term) ?? 0) + weight);
+
+  tokens.forEach((token, i) => {
+    if (!isCandidate(token)) return;
+    bump(token, 1);
+
+    const next = tokens[i + 1];
+    if (next && isCandidate(next)) bump(`${token} ${next}`, 1.5);
+  });
+
+  // A phrase seen once is usually just adjacent words, not a real term
+  const ranked = [...counts.entries()]
+    .filter(([term, count]) => !term.includes(" ") || count >= 3)
+    .sort((a, b) => b[1] - a[1]);
+
+  const keywords = [];
+  for (const [term] of ranked) {
+    if (keywords.length >= limit) break;
+    // Skip words already covered by a chosen phrase
+    if (keywords.some((kw) => kw.includes(" ") && kw.split(" ").includes(term)))
+      continue;
+    keywords.push(term);
+  }
+  return keywords;
+}
+
+// Whole-word, case-insensitive match that also works for "c++" or "node.js"
+export function containsKeyword(text, keyword) {
+  const pattern = new RegExp(
+    `(^|[^a-z0-9])${escapeRegExp(keyword.toLowerCase())}($|[^a-z0-9+#])`
+  );
+  return pattern.test((text ?? "").toLowerCase());
+}
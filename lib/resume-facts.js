@@ -0,0 +1,54 @@
+import { parseResumeMarkdown } from "@/app/lib/resume-parser";
+
+// Facts from a saved resume that generated text may cite. Resumes saved from
+// the builder have structured form data; older or hand-edited ones are parsed
+// from their markdown.
+
+const ENTRY_SECTIONS = ["experience", "projects"];
+
+// "Software Engineer at Example Corp (Jan 2021 - Present)"
+export function formatEntry({
+  title,
+  organization,
+  startDate,
+  endDate,
+  current,
+}) {
+  const name = organization ? `${title} at ${organization}` : title;
+  const dates = [startDate, current ? "Present" : endDate]
+    .filter(Boolean)
+    .join(" - ");
+  return dates ? `${name} (${dates})` : name;
+}
+
+export function getResumeEntries(resume) {
+  const data = resume.formData ?? parseResumeMarkdown(resume.content ?? "");
+
+  return ENTRY_SECTIONS.flatMap((section) =>
+    (data[section] ?? []).map((entry, index) => ({
+      ...entry,
+      id: `${section}-${index}`,
+      section,
+    }))
+  );
+}
+
+/**
+ * One achievement per line (or bullet) of each experience and project
+ * description. Ids are positional, so they only identify an achievement until
+ * the resume is next edited; store the text of anything that must outlive
+ * that.
+ */
+export function extractAchievements(resume) {
+  return getResumeEntries(resume).flatMap((entry) =>
+    (entry.description ?? "")
+      .split("\n")
+      .map((line) => line.replace(/^\s*[-*•]\s*/, "").trim())
+      .filter(Boolean)
+      .map((text, line) => ({
+        id: `${entry.id}-${line}`,
+        entry: formatEntry(entry),
+        text,
+      }))
+  );
+}
@@ -0,0 +1,133 @@
+// Resume templates and theme options. The stored markdown stays the single
+// source of content; a theme only decides how it is laid out, both in the
+// builder preview and in exported PDF/DOCX files.
+
+export const RESUME_TEMPLATES = [
+  {
+    value: "classic",
+    label: "Classic",
+    description: "Single column with a centered header",
+  },
+  {
+    value: "modern",
+    label: "Modern",
+    description: "Two columns with skills and education in a sidebar",
+  },
+  {
+    value: "compact",
+    label: "Compact",
+    description: "Tighter spacing and smaller type to fit one page",
+  },
+];
+
+// `pdf` is a standard PDF font family, `docx` a font Word ships with
+export const RESUME_FONTS = [
+  {
+    value: "sans",
+    label: "Sans-serif",
+    css: "Helvetica, Arial, sans-serif",
+    pdf: "Helvetica",
+    docx: "Calibri",
+  },
+  {
+    value: "serif",
+    label: "Serif",
+    css: "Georgia, 'Times New Roman', serif",
+    pdf: "Times",
+    docx: "Georgia",
+  },
+  {
+    value: "mono",
+    label: "Monospace",
+    css: "'Courier New', Courier, monospace",
+    pdf: "Courier",
+    docx: "Consolas",
+  },
+];
+
+export const ACCENT_COLORS = [
+  "#111827",
+  "#1d4ed8",
+  "#047857",
+  "#b91c1c",
+  "#7c3aed",
+  "#c2410c",
+];
+
+export const RESUME_SECTIONS = [
+  { key: "summary", title: "Professional Summary" },
+  { key: "skills", title: "Skills" },
+  { key: "experience", title: "Work Experience" },
+  { key: "education", title: "Education" },
+  { key: "projects", title: "Projects" },
+];
+
+// Sections the modern template moves to its sidebar
+export const SIDEBAR_SECTIONS = ["skills", "education"];
+
+export const DEFAULT_THEME = {
+  template: "classic",
+  font: "sans",
+  accentColor: ACCENT_COLORS[0],
+  sectionOrder: RESUME_SECTIONS.map((section) => section.key),
+};
+
+/** Fills in defaults, e.g. for resumes saved before themes existed */
+export function resolveTheme(theme) {
+  const order = (theme?.sectionOrder ?? []).filter((key) =>
+    DEFAULT_THEME.sectionOrder.includes(key)
+  );
+
+  return {
+    ...DEFAULT_THEME,
+    ...theme,
+    // Keep sections added later at the end of a saved order
+    sectionOrder: [...new Set([...order, ...DEFAULT_THEME.sectionOrder])],
+  };
+}
+
+export const getResumeFont = (font) =>
+  RESUME_FONTS.find((option) => option.value === font) ?? RESUME_FONTS[0];
+
+// "Work Experience" -> "experience"; unknown titles keep their own name
+const sectionKey = (title) =>
+  RESUME_SECTIONS.find(({ key }) => title.toLowerCase().includes(key))?.key ??
+  title;
+
+/**
+ * Splits resume markdown into the header (name and contact details) and its
+ * `##` sections, sorted by `sectionOrder`. Unknown sections keep their
+ * relative position after the known ones.
+ */
+export function splitResumeSections(markdown, sectionOrder) {
+  const header = [];
+  const sections = [];
+  let current = null;
+
+  for (const line of (markdown ?? "").split("\n")) {
+    const heading = line.match(/^##\s+(.*)$/);
+    // The builder writes the name as `## <div align="center">Name</div>`
+    if (heading && !/<div/i.test(heading[1])) {
+      const title = heading[1].trim();
+      current = { key: sectionKey(title), title, lines: [line] };
+      sections.push(current);
+    } else {
+      (current?.lines ?? header).push(line);
+    }
+  }
+
+  const rank = (key) => {
+    const index = sectionOrder.indexOf(key);
+    return index === -1 ? sectionOrder.length : index;
+  };
+
+  return {
+    header: header.join("\n").trim(),
+    sections: sections
+      .map(({ lines, ...section }) => ({
+        ...section,
+        markdown: lines.join("\n").trim(),
+      }))
+      .sort((a, b) => rank(a.key) - rank(b.key)),
+  };
+}
@@ -0,0 +1,88 @@
+import { addDays, addMinutes } from "date-fns";
+
+// Spaced-repetition review of missed quiz questions, scheduled with SM-2.
+// After each review the user grades their recall; good recall pushes the
+// card further out, forgetting it brings it back the same day.
+
+export const REVIEW_GRADES = [
+  { value: "again", label: "Again", quality: 1 },
+  { value: "hard", label: "Hard", quality: 3 },
+  { value: "good", label: "Good", quality: 4 },
+  { value: "easy", label: "Easy", quality: 5 },
+];
+
+// Cards in one day's queue, most overdue first
+export const DAILY_REVIEW_LIMIT = 20;
+
+const MIN_EASE = 1.3;
+// A forgotten card comes back after this long, in the same session
+const RELEARN_MINUTES = 10;
+
+export const getReviewGrade = (value) =>
+  REVIEW_GRADES.find((grade) => grade.value === value);
+
+/**
+ * The card's schedule after a review graded `grade` ("again", "hard",
+ * "good" or "easy"). Returns only the fields that change.
+ */
+export function scheduleReview(card, grade, now = new Date()) {
+  const { quality } = getReviewGrade(grade);
+  const ease = Math.max(
+    MIN_EASE,
+    card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+  );
+
+  if (quality < 3) {
+    return {
+      ease,
+      interval: 0,
+      repetitions: 0,
+      lapses: card.repetitions > 0 ? card.lapses + 1 : card.lapses,
+      dueAt: addMinutes(now, RELEARN_MINUTES),
+      lastReviewedAt: now,
+    };
+  }
+
+  const repetitions = card.repetitions + 1;
+  const interval =
+    repetitions === 1
+      ? 1
+      : repetitions === 2
+      ? 6
+      : Math.round(card.interval * ease);
+
+  return {
+    ease,
+    interval,
+    repetitions,
+    lapses: card.lapses,
+    dueAt: addDays(now, interval),
+    lastReviewedAt: now,
+  };
+}
+
+// "10m", "1d", "3w", "4mo"; for the grade buttons
+export function formatInterval(days) {
+  if (days === 0) return `${RELEARN_MINUTES}m`;
+  if (days < 14) return `${days}d`;
+  if (days < 60) return `${Math.round(days / 7)}w`;
+  return `${Math.round(days / 30)}mo`;
+}
+
+// New cards for the questions missed in an assessment. Mock interview
+// answers have no single right answer to review, so they are left out.
+export function missedQuestionCards(assessment) {
+  if (assessment.mode === "conversation") return [];
+
+  return assessment.questions
+    .filter((question) => !question.isCorrect && question.answer)
+    .map((question) => ({
+      question: question.question,
+      topic: question.topic ?? null,
+      category: assessment.category,
+      options: question.options ?? [],
+      answer: question.answer,
+      explanation: question.scores ? null : question.explanation,
+      assessmentId: assessment.id,
+    }));
+}
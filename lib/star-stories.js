@@ -0,0 +1,59 @@
+// STAR (Situation, Task, Action, Result) stories for behavioral interviews.
+// Saved stories form the user's story bank; they can be reused as answers and
+// cited in cover letters.
+
+export const STAR_PARTS = [
+  {
+    key: "situation",
+    label: "Situation",
+    description: "Where and when it happened, and what was at stake",
+    placeholder: "Our checkout service was failing during a product launch...",
+  },
+  {
+    key: "task",
+    label: "Task",
+    description: "What you were responsible for",
+    placeholder: "As the on-call engineer I had to restore payments...",
+  },
+  {
+    key: "action",
+    label: "Action",
+    description: "The steps you took, in the first person",
+    placeholder: "I rolled back the release, then...",
+  },
+  {
+    key: "result",
+    label: "Result",
+    description: "The outcome, with numbers where you have them",
+    placeholder: "Payments recovered within 20 minutes and...",
+  },
+];
+
+export const COMPETENCIES = [
+  "Leadership",
+  "Teamwork",
+  "Conflict Resolution",
+  "Problem Solving",
+  "Communication",
+  "Adaptability",
+  "Ownership",
+  "Customer Focus",
+  "Prioritization",
+  "Learning from Failure",
+];
+
+export const STORY_PROMPTS = [
+  "Tell me about a conflict with a coworker and how you resolved it.",
+  "Describe a time you led a project or initiative.",
+  "Tell me about a time you failed and what you learned.",
+  "Describe a time you had to meet a tight deadline.",
+  "Tell me about a time you disagreed with your manager.",
+  "Describe a situation where you had to learn something quickly.",
+];
+
+// Plain-text version of a story for prompts
+export const formatStory = (story) =>
+  [
+    `${story.title} (${story.competencies.join(", ")})`,
+    ...STAR_PARTS.map((part) => `${part.label}: ${story[part.key]}`),
+  ].join("\n");
@@ -1,5 +1,7 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
+  // pdfkit reads its font metrics from disk, so it must not be bundled
+  serverExternalPackages: ["pdfkit"],
   images: {
     remotePatterns: [
       {
@@ -0,0 +1,15 @@
+-- DropIndex
+DROP INDEX "Resume_userId_key";
+
+-- AlterTable
+ALTER TABLE "Resume" ADD COLUMN     "parentId" TEXT,
+ADD COLUMN     "title" TEXT NOT NULL DEFAULT 'My Resume';
+
+-- CreateIndex
+CREATE INDEX "Resume_userId_idx" ON "Resume"("userId");
+
+-- CreateIndex
+CREATE INDEX "Resume_parentId_idx" ON "Resume"("parentId");
+
+-- AddForeignKey
+ALTER TABLE "Resume" ADD CONSTRAINT "Resume_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Resume"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "ResumeVersion" (
+    "id" TEXT NOT NULL,
+    "resumeId" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "label" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ResumeVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ResumeVersion_resumeId_idx" ON "ResumeVersion"("resumeId");
+
+-- AddForeignKey
+ALTER TABLE "ResumeVersion" ADD CONSTRAINT "ResumeVersion_resumeId_fkey" FOREIGN KEY ("resumeId") REFERENCES "Resume"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed history with the content saved before versioning existed
+INSERT INTO "ResumeVersion" ("id", "resumeId", "content", "createdAt")
+SELECT 'v_' || "id", "id", "content", "updatedAt" FROM "Resume" WHERE "content" <> '';
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Resume" ADD COLUMN     "formData" JSONB;
+
+-- AlterTable
+ALTER TABLE "ResumeVersion" ADD COLUMN     "formData" JSONB;
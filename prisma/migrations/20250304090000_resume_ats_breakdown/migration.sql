@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Resume" ADD COLUMN     "atsBreakdown" JSONB;
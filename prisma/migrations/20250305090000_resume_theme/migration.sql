@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Resume" ADD COLUMN     "theme" JSONB;
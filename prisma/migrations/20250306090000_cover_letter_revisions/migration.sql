@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "CoverLetterRevision" (
+    "id" TEXT NOT NULL,
+    "coverLetterId" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "instruction" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CoverLetterRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CoverLetterRevision_coverLetterId_idx" ON "CoverLetterRevision"("coverLetterId");
+
+-- AddForeignKey
+ALTER TABLE "CoverLetterRevision" ADD CONSTRAINT "CoverLetterRevision_coverLetterId_fkey" FOREIGN KEY ("coverLetterId") REFERENCES "CoverLetter"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed history with the letters generated before revisions existed
+INSERT INTO "CoverLetterRevision" ("id", "coverLetterId", "content", "source", "createdAt")
+SELECT 'r_' || "id", "id", "content", 'generated', "createdAt" FROM "CoverLetter";
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CoverLetter" ADD COLUMN     "options" JSONB;
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "CoverLetter" ADD COLUMN     "statusHistory" JSONB;
+
+-- "completed" only meant the AI had finished; those letters are drafts
+UPDATE "CoverLetter" SET "status" = 'draft' WHERE "status" = 'completed';
+
+-- Start every existing letter's history at its creation
+UPDATE "CoverLetter" SET "statusHistory" = jsonb_build_array(
+  jsonb_build_object(
+    'status', "status",
+    'at', to_char("createdAt", 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+  )
+);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Assessment" ADD COLUMN "difficulty" TEXT;
+
+-- AlterTable
+ALTER TABLE "Quiz" ADD COLUMN "difficulty" TEXT NOT NULL DEFAULT 'medium';
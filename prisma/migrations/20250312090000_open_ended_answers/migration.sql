@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Assessment" ADD COLUMN "mode" TEXT NOT NULL DEFAULT 'multiple_choice';
+
+-- AlterTable
+ALTER TABLE "Quiz" ADD COLUMN "mode" TEXT NOT NULL DEFAULT 'multiple_choice';
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "InterviewSession" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "jobTitle" TEXT NOT NULL,
+    "companyName" TEXT,
+    "category" TEXT NOT NULL DEFAULT 'Technical',
+    "questionCount" INTEGER NOT NULL DEFAULT 6,
+    "resumeId" TEXT,
+    "messages" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'in_progress',
+    "report" JSONB,
+    "assessmentId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "InterviewSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "InterviewSession_assessmentId_key" ON "InterviewSession"("assessmentId");
+
+-- CreateIndex
+CREATE INDEX "InterviewSession_userId_idx" ON "InterviewSession"("userId");
+
+-- CreateIndex
+CREATE INDEX "InterviewSession_resumeId_idx" ON "InterviewSession"("resumeId");
+
+-- AddForeignKey
+ALTER TABLE "InterviewSession" ADD CONSTRAINT "InterviewSession_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InterviewSession" ADD CONSTRAINT "InterviewSession_resumeId_fkey" FOREIGN KEY ("resumeId") REFERENCES "Resume"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InterviewSession" ADD CONSTRAINT "InterviewSession_assessmentId_fkey" FOREIGN KEY ("assessmentId") REFERENCES "Assessment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Assessment" ADD COLUMN "timeLimit" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Quiz" ADD COLUMN "timeLimit" INTEGER,
+ADD COLUMN "questionTimeLimit" INTEGER;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "JobApplication" ADD COLUMN "resumeVersionId" TEXT;
+
+-- AlterTable
+ALTER TABLE "InterviewSession" ADD COLUMN "applicationId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "JobApplication_resumeVersionId_idx" ON "JobApplication"("resumeVersionId");
+
+-- CreateIndex
+CREATE INDEX "InterviewSession_applicationId_idx" ON "InterviewSession"("applicationId");
+
+-- AddForeignKey
+ALTER TABLE "JobApplication" ADD CONSTRAINT "JobApplication_resumeVersionId_fkey" FOREIGN KEY ("resumeVersionId") REFERENCES "ResumeVersion"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InterviewSession" ADD CONSTRAINT "InterviewSession_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "JobApplication"("id") ON DELETE SET NULL ON UPDATE CASCADE;
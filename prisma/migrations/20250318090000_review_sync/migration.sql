@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Assessment" ADD COLUMN "reviewSyncedAt" TIMESTAMP(3);
+
+-- Assessments that already produced cards have been synced
+UPDATE "Assessment" SET "reviewSyncedAt" = CURRENT_TIMESTAMP
+WHERE EXISTS (
+  SELECT 1 FROM "ReviewCard" WHERE "ReviewCard"."assessmentId" = "Assessment"."id"
+);
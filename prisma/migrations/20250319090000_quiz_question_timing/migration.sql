@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Quiz" ADD COLUMN "currentQuestion" INTEGER,
+ADD COLUMN "currentQuestionStartedAt" TIMESTAMP(3);